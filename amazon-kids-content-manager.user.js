@@ -0,0 +1,22 @@
+// ==UserScript==
+// @name         Amazon Kids Content Manager
+// @namespace    https://github.com/bryanroscoe/amazon-kids-content-manager
+// @version      3.0.0
+// @description  Bulk disable or enable content on the Amazon Kids Parent Dashboard
+// @homepageURL  https://github.com/bryanroscoe/amazon-kids-content-manager
+// @include      /^https:\/\/parents\.amazon\.[a-z.]+\/explore/
+// @require      https://raw.githubusercontent.com/bryanroscoe/amazon-kids-content-manager/main/amazon_kids_content_disabler.js
+// @updateURL    https://raw.githubusercontent.com/bryanroscoe/amazon-kids-content-manager/main/amazon-kids-content-manager.user.js
+// @downloadURL  https://raw.githubusercontent.com/bryanroscoe/amazon-kids-content-manager/main/amazon-kids-content-manager.user.js
+// @grant        none
+// @run-at       document-idle
+// @noframes
+// ==/UserScript==
+
+// The script itself comes from @require above. Each release (tools/release.js)
+// pins it to the release tag with the file's sha256 hash; before the first
+// release it loads main. Userscript managers cache @require and only fetch it
+// again when @version changes, so a release bumps @version and the pin
+// together, and @updateURL lets the manager see that.
+// It shows the control panel on the explore page; settings are saved in the
+// page's localStorage when you press Start.
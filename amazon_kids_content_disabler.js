@@ -2,23 +2,28 @@
 // https://github.com/bryanroscoe/amazon-kids-content-manager
 //
 // Bulk disable (or enable) content on Amazon Kids Parent Dashboard.
-// Works on amazon.com and amazon.ca as of 2026-02-09.
+// Works on amazon.com and amazon.ca as of 2026-02-09; includes text for the
+// .co.uk, .de, .fr, .es, .it, .co.jp and .com.mx dashboards.
 //
 // Instructions:
 //   1. Go to https://parents.amazon.com/explore (substitute .com with your domain)
-//   2. Set the child's age range to 2-2 for maximum content visibility.
-//   3. Choose your view:
+//   2. Choose your view:
 //        - Select a child for fast bulk disable (concurrent card clicks)
 //        - Deselect the child (click the back arrow) for enable/disable
 //          of ALL content, including items currently disabled
-//   4. Clear all content-type filters for full visibility
-//   5. Open DevTools console (Ctrl+Shift+I / Cmd+Option+I)
-//   6. Type "allow pasting" and press Enter
-//   7. Edit the CONFIG section below if needed
-//   8. Paste this script and press Enter
-//   9. Repeat for each child
+//   3. Open DevTools console (Ctrl+Shift+I / Cmd+Option+I)
+//   4. Type "allow pasting" and press Enter
+//   5. Paste this script and press Enter
+//   6. Pick your settings in the control panel and press Start
+//      (or edit the CONFIG section below and set ui: false to run straight away)
+//   7. Repeat for each child
+//
+// The script sets the age range to its lowest value (2-2) and clears the
+// content-type filters so the whole catalog is visible, and puts them back
+// when it's done.
 //
 // Controls:
+//   Start / Pause / Resume / Stop buttons in the control panel
 //   Ctrl+Alt+C = Pause
 //   Ctrl+Alt+R = Resume
 //
@@ -29,6 +34,12 @@
 // ============================================================================
 const CONFIG = {
   // 'disable' = turn off content, 'enable' = turn on content
+  // 'export'  = download every item and its per-child access state (no changes)
+  // 'reconcile' = apply desiredState, toggling only the items that differ
+  // 'undo'    = revert every toggle from the last run (no-child-selected view)
+  // 'doctor'  = report which parts of the page the script can still read (no changes)
+  // 'compare' = list the titles sourceChild can access and childName can't, and vice versa
+  // 'copy'    = make childName's access match sourceChild's (no-child-selected view)
   mode: 'disable',
 
   // Filter by content type. null = all types.
@@ -46,11 +57,55 @@ const CONFIG = {
   // Case-insensitive keyword matching
   keywordCaseSensitive: false,
 
+  // Keywords may also be regular expressions: '/^PBS KIDS\\b/i' or /^PBS KIDS\b/i
+
+  // Exact lists. null = no restriction.
+  itemIds: null,          // only these itemIds (ASINs)
+  excludeItemIds: null,   // never these itemIds
+  titles: null,           // only these exact titles
+  excludeTitles: null,    // never these exact titles
+
+  // Per-type rules. null = off. When set, types not listed are left alone.
+  // e.g. { VIDEO: { not: { keyword: 'Daniel Tiger' } }, EBOOK: true }
+  typeRules: null,
+
+  // Match on any item field the dashboard provides (see logLevel 'verbose' for the
+  // list). null = off. Values: exact text (case-insensitive), /regex/, a list of
+  // alternatives, or { gte, gt, lte, lt, contains, exists, not }. Nested: 'ageRange.min'.
+  // e.g. { publisher: 'PBS KIDS', 'ageRange.min': { gte: 9 } }
+  where: null,
+
+  // Composed rule. null = off. Leaves: 'keyword', /regex/, { keyword }, { title },
+  // { itemId }, { type }, { where }; combine with { all: [...] }, { any: [...] }, { not: rule }.
+  // e.g. { any: [{ type: 'APP', keyword: 'minecraft' }, { not: { type: 'APP' } }] }
+  rule: null,
+
   // Which child to manage (used in no-child-selected mode).
   // null = auto-detect (uses the first/only child, or the selectedChild from fiber).
-  // Set to a name like 'Lily' to target a specific child when there are multiple.
+  // Set to a name like 'Lily' to target a specific child when there are multiple,
+  // or a list like ['Lily', 'Max'] to set every listed child in one pass.
   childName: null,
 
+  // Saved policy profile (mode, types, keyword rules, dryRun) to use instead of
+  // the settings here. null = the managed child's default profile, if one is set;
+  // false = never use profiles. Save profiles from the control panel or AKM.profiles.
+  profile: null,
+
+  // Per-child mode (no-child-selected mode), e.g. { Lily: 'disable', Max: 'enable' }.
+  // Overrides mode and childName when set. Each panel is opened once per item.
+  childModes: null,
+
+  // The child to compare against / copy from (modes 'compare' and 'copy')
+  sourceChild: null,
+
+  // Apply the run to every child on the account. A disable visits each child's
+  // view in turn; other modes set all children in one no-child-selected pass.
+  allChildren: false,
+
+  // Click into the child's view or back out as the mode needs: a one-child
+  // disable runs in the child's view, everything else in the no-child view
+  autoNavigate: true,
+
   // Number of items to click at once (child-selected mode only)
   clickConcurrency: 5,
 
@@ -60,14 +115,81 @@ const CONFIG = {
   // Delay between pagination loads in ms
   pageDelayMs: 100,
 
-  // Max retries per failed toggle
+  // Keep running after the sweep and apply the mode/filters to items that
+  // appear later or get switched back (enable/disable/reconcile; Stop ends it)
+  watch: false,
+  watchIntervalMs: 60000,   // how often to re-check when the page is quiet
+  watchMaxPerMinute: 10,    // cap on changes made while watching
+
+  // Adapt speed to the dashboard: on signs of rate limiting (error messages,
+  // switches flipping back, slower responses, page load timeouts) lower the
+  // concurrency and raise the delays above; recover once things look healthy
+  adaptive: true,
+
+  // Max retries per failed toggle. Failed items are queued and retried after
+  // the main sweep, with a growing pause (1s, 2s, 4s, ...) before each round.
   maxRetries: 3,
 
+  // Set the age range to its lowest value and clear content filters before the
+  // run, so every item is visible; the original settings are restored afterwards
+  preparePage: true,
+
+  // Dashboard language: 'auto' (from the page / marketplace), or one of
+  // 'en', 'de', 'fr', 'es', 'it', 'ja'
+  locale: 'auto',
+
   // Logging: 'quiet', 'normal', 'verbose'
   logLevel: 'normal',
 
   // Log what would happen without making changes
   dryRun: false,
+
+  // Load every page first and show the complete list of changes, then make
+  // exactly those changes once confirmed (enable/disable/reconcile/copy):
+  //   'confirm' = ask in a dialog, 'go' = wait for AKM.go() in the console, false = off
+  confirmPlan: false,
+
+  // After the run, re-read the access state of every toggled item and report
+  // the ones that didn't stick: 'report', 'fix' (also retry them once), or false
+  verify: 'report',
+
+  // How changes are made:
+  //   'ui'  = click the page (card clicks / Manage access panels)
+  //   'api' = send the dashboard's own access request directly. The request is
+  //           learned from the first toggle in each direction, which is made
+  //           through the page as usual. Needs React Fiber access.
+  engine: 'ui',
+
+  // Requests in flight at once for engine 'api'
+  apiConcurrency: 4,
+
+  // Fixed request for engine 'api' instead of learning one (e.g. to test against
+  // a local mock server): { method, url, headers, body }. url and body may use
+  // {{itemId}}, {{childId}}, {{state}} ('AVAILABLE' / 'UNAVAILABLE') and {{enabled}} (true / false).
+  apiTemplate: null,
+
+  // Show the in-page control panel and wait for Start.
+  // false = start immediately with the settings above.
+  ui: true,
+
+  // File format for mode 'export': 'json' or 'csv'
+  exportFormat: 'json',
+
+  // Download a report when a run ends: the settings used, and every item looked
+  // at with its state before and after and why it was or wasn't changed.
+  // 'html', 'csv', or false
+  runReport: 'html',
+
+  // Desired state for mode 'reconcile'. Any of:
+  //   - a file saved by mode 'export' (object or JSON string)
+  //   - an object keyed by itemId or title: { 'B01ABCDEF': true, 'PBS KIDS Games': false }
+  //   - pasted text, one item per line: '+ B01ABCDEF' to enable, '- Some Title' to disable
+  // Items are matched by itemId first, then by title.
+  desiredState: null,
+
+  // What reconcile does with items missing from desiredState:
+  // null = leave alone, 'disable' = treat as an allowlist, 'enable' = treat as a blocklist
+  reconcileUnlisted: null,
 };
 
 // ============================================================================
@@ -95,43 +217,111 @@ const CONFIG = {
     });
   }
 
+  // Trigger a browser download of a generated file
+  function downloadFile(filename, content, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  // 'enable' / 'disable' for a desired switch state
+  const actionName = (enabled) => (enabled ? 'enable' : 'disable');
+
+  // Stable key for an item — survives DOM re-renders and page reloads
+  const itemKey = (item) => item.itemId ?? `${item.contentType}:${item.title}`;
+
+  // Item fields safe to hand outside the script (no DOM nodes)
+  const describeItem = (item) => ({
+    itemId: item.itemId,
+    title: item.title,
+    contentType: item.contentType,
+    isEnabled: item.isEnabled,
+    accessMap: item.accessMap,
+    fields: item.fields ?? null,
+  });
+
+  // Quote a value for a CSV cell
+  function csvCell(value) {
+    const str = value == null ? '' : String(value);
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  }
+
+  // Escape text for an HTML document
+  const htmlText = (value) => String(value ?? '').replace(/[&<>"]/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+
   // --------------------------------------------------------------------------
   // Logger
   // --------------------------------------------------------------------------
   const Logger = {
     _start: Date.now(),
+    // Optional receiver for log output ({ line(text), progress(pct, text) }), e.g. the control panel
+    sink: null,
     _elapsed() {
       const s = Math.floor((Date.now() - this._start) / 1000);
       const m = Math.floor(s / 60);
       return m > 0 ? `${m}m${s % 60}s` : `${s}s`;
     },
+    _out(text) {
+      console.log(text);
+      this.sink?.line(text);
+    },
+    reset() { this._start = Date.now(); },
     info(msg) {
-      if (CONFIG.logLevel !== 'quiet') console.log(`[AKM ${this._elapsed()}] ${msg}`);
+      if (CONFIG.logLevel !== 'quiet') this._out(`[AKM ${this._elapsed()}] ${msg}`);
     },
     verbose(msg) {
-      if (CONFIG.logLevel === 'verbose') console.log(`[AKM ${this._elapsed()}]   ${msg}`);
+      if (CONFIG.logLevel === 'verbose') this._out(`[AKM ${this._elapsed()}]   ${msg}`);
     },
     progress(stats, total) {
-      if (CONFIG.logLevel === 'quiet') return;
       const pct = total > 0 ? Math.round(((stats.toggled + stats.skipped + stats.failed) / total) * 100) : 0;
-      console.log(
-        `[AKM ${this._elapsed()}] ${pct}% | Toggled: ${stats.toggled} | Skipped: ${stats.skipped} | Failed: ${stats.failed}` +
-          (stats.retried ? ` | Retries: ${stats.retried}` : '')
-      );
+      const text = `${pct}% | Toggled: ${stats.toggled} | Skipped: ${stats.skipped} | Failed: ${stats.failed}` +
+        (stats.retried ? ` | Retries: ${stats.retried}` : '');
+      this.sink?.progress(pct, text);
+      if (CONFIG.logLevel === 'quiet') return;
+      this._out(`[AKM ${this._elapsed()}] ${text}`);
+    },
+    table(rows) {
+      if (rows.length === 0) return;
+      console.table(rows);
+      for (const row of rows) this.sink?.line(Object.values(row).join(' | '));
     },
     summary(stats) {
-      console.log('\n=== Amazon Kids Content Manager — Complete ===');
-      console.log(`Mode: ${CONFIG.mode}`);
-      console.log(`Duration: ${this._elapsed()}`);
-      console.log(`Toggled: ${stats.toggled}`);
-      console.log(`Skipped: ${stats.skipped}`);
-      console.log(`Failed: ${stats.failed}`);
-      if (stats.retried) console.log(`Retries: ${stats.retried}`);
-      if (CONFIG.keywords) console.log(`Keywords (include): ${CONFIG.keywords.join(', ')}`);
-      if (CONFIG.excludeKeywords) console.log(`Keywords (exclude): ${CONFIG.excludeKeywords.join(', ')}`);
-      if (CONFIG.contentTypes) console.log(`Content types: ${CONFIG.contentTypes.join(', ')}`);
-      if (CONFIG.dryRun) console.log('** DRY RUN — no changes were made **');
-      console.log('================================================\n');
+      this._out('\n=== Amazon Kids Content Manager — Complete ===');
+      this._out(`Mode: ${CONFIG.mode}`);
+      this._out(`Duration: ${this._elapsed()}`);
+      this._out(`Toggled: ${stats.toggled}`);
+      this._out(`Skipped: ${stats.skipped}`);
+      this._out(`Failed: ${stats.failed}`);
+      if (stats.retried) this._out(`Retries: ${stats.retried}`);
+      if (CONFIG.keywords) this._out(`Keywords (include): ${CONFIG.keywords.join(', ')}`);
+      if (CONFIG.excludeKeywords) this._out(`Keywords (exclude): ${CONFIG.excludeKeywords.join(', ')}`);
+      if (CONFIG.contentTypes) this._out(`Content types: ${CONFIG.contentTypes.join(', ')}`);
+      if (CONFIG.dryRun) this._out('** DRY RUN — no changes were made **');
+      this._out('================================================\n');
+    },
+  };
+
+  // --------------------------------------------------------------------------
+  // Events — run lifecycle notifications for window.AKM.on()
+  // --------------------------------------------------------------------------
+  const Events = {
+    _handlers: {},
+    on(name, fn) { (this._handlers[name] ??= []).push(fn); },
+    off(name, fn) { this._handlers[name] = (this._handlers[name] ?? []).filter((h) => h !== fn); },
+    emit(name, detail) {
+      for (const fn of this._handlers[name] ?? []) {
+        try {
+          fn(detail);
+        } catch (e) {
+          Logger.info(`WARNING: ${name} handler threw — ${e.message}`);
+        }
+      }
     },
   };
 
@@ -161,6 +351,7 @@ const CONFIG = {
       this._state = 'done';
       if (this._pauseResolve) this._pauseResolve();
     },
+    current() { return this._state; },
     isRunning() { return this._state === 'running'; },
     isPaused() { return this._state === 'paused'; },
     async checkPause() {
@@ -168,6 +359,376 @@ const CONFIG = {
     },
   };
 
+  // --------------------------------------------------------------------------
+  // Settings — control panel choices saved to localStorage between visits
+  // --------------------------------------------------------------------------
+  const Settings = {
+    _key: 'akm:settings',
+    _keys: ['mode', 'contentTypes', 'keywords', 'excludeKeywords', 'childName', 'childModes', 'dryRun', 'desiredState', 'watch', 'profile', 'sourceChild', 'allChildren', 'confirmPlan'],
+    _defaults: null,
+
+    load() {
+      try {
+        return JSON.parse(localStorage.getItem(this._key) || 'null');
+      } catch (e) {
+        Logger.verbose(`Ignoring unreadable saved settings — ${e.message}`);
+        return null;
+      }
+    },
+
+    // Overlay saved settings on the script's own values (kept for reset())
+    apply() {
+      this._defaults = this._defaults ?? { ...CONFIG };
+      Object.assign(CONFIG, this._defaults);
+      const saved = this.load();
+      if (!saved) return false;
+      for (const key of this._keys) {
+        if (key in saved) CONFIG[key] = saved[key];
+      }
+      return true;
+    },
+
+    save() {
+      const values = {};
+      for (const key of this._keys) values[key] = CONFIG[key];
+      try {
+        localStorage.setItem(this._key, JSON.stringify(values, (k, v) => (v instanceof RegExp ? String(v) : v)));
+      } catch (e) {
+        Logger.verbose(`Could not save settings — ${e.message}`);
+      }
+    },
+
+    // Forget saved settings and go back to the CONFIG in the script
+    reset() {
+      localStorage.removeItem(this._key);
+      if (this._defaults) Object.assign(CONFIG, this._defaults);
+    },
+  };
+
+  // --------------------------------------------------------------------------
+  // Config — CONFIG built from layers, and checked before a run
+  // --------------------------------------------------------------------------
+  // Later layers win: the values in this script, saved settings, then
+  // #akm={...} in the page URL. An import (AKM.importConfig or the panel) goes
+  // on top of CONFIG as it stands, keeping changes made since the page loaded.
+  const Config = {
+    _fromUrl: null,
+    layers: [],
+    _notes: [],   // messages from load(), logged by announce() once the panel can show them
+    // A link may only set what the panel shows, so whoever opens it can see
+    // everything it changed before starting. Anything else (ui, engine,
+    // apiTemplate, childModes, desiredState, ...) is ignored.
+    _urlAllowed: ['mode', 'contentTypes', 'keywords', 'excludeKeywords', 'childName', 'allChildren',
+      'dryRun', 'confirmPlan', 'watch', 'profile', 'sourceChild'],
+
+    _modes: ['disable', 'enable', 'export', 'reconcile', 'undo', 'doctor', 'compare', 'copy'],
+    _types: ['APP', 'EBOOK', 'VIDEO', 'AUDIBLE', 'SKILL'],
+
+    _kind(v) {
+      if (v === null) return 'null';
+      if (Array.isArray(v)) return 'a list';
+      if (v instanceof RegExp) return 'a regex';
+      return `a ${typeof v}`;
+    },
+
+    // Checks return an error message, or null when the value is fine
+    _oneOf(...values) {
+      return (v) => (values.includes(v) ? null
+        : `unknown value ${JSON.stringify(v)} (expected ${values.map((x) => (typeof x === 'string' ? x : String(x))).join(', ')})`);
+    },
+    _list(example, item = null) {
+      return (v) => {
+        if (v === null) return null;
+        if (!Array.isArray(v)) return `expected a list like ${example} or null, got ${this._kind(v)}`;
+        const bad = item ? v.map((x) => item(x)).find(Boolean) : null;
+        return bad ?? null;
+      };
+    },
+    _flag() {
+      return (v) => (typeof v === 'boolean' ? null : `expected true or false, got ${this._kind(v)}`);
+    },
+    _number({ min, integer = false }) {
+      return (v) => {
+        const ok = typeof v === 'number' && Number.isFinite(v) && v >= min && (!integer || Number.isInteger(v));
+        if (ok) return null;
+        return `expected ${integer ? 'a whole number' : 'a number'} of ${min} or more, got ${typeof v === 'number' ? v : this._kind(v)}`;
+      };
+    },
+    _text({ nullable = true, orFalse = false } = {}) {
+      return (v) => ((typeof v === 'string' && v !== '') || (nullable && v === null) || (orFalse && v === false) ? null
+        : `expected a name${nullable ? ' or null' : ''}${orFalse ? ' or false' : ''}, got ${this._kind(v)}`);
+    },
+    _object() {
+      return (v) => (v === null || (typeof v === 'object' && !Array.isArray(v)) ? null
+        : `expected an object or null, got ${this._kind(v)}`);
+    },
+
+    _schema() {
+      const text = (v) => (typeof v === 'string' ? null : `expected text, got ${this._kind(v)}`);
+      const type = (v) => (this._types.includes(String(v).toUpperCase()) ? null
+        : `unknown content type ${JSON.stringify(v)} (expected ${this._types.join(', ')})`);
+      const names = this._list("['Lily', 'Max']", text);
+      return {
+        mode: this._oneOf(...this._modes),
+        contentTypes: this._list("['APP', 'VIDEO']", type),
+        keywords: this._list("['PBS', 'Cocomelon']"),
+        excludeKeywords: this._list("['PBS', 'Cocomelon']"),
+        keywordCaseSensitive: this._flag(),
+        itemIds: this._list("['B01ABCDEF']", text),
+        excludeItemIds: this._list("['B01ABCDEF']", text),
+        titles: this._list("['PBS KIDS Games']", text),
+        excludeTitles: this._list("['PBS KIDS Games']", text),
+        typeRules: (v) => this._object()(v) ?? (v ? Object.keys(v).map(type).find(Boolean) ?? null : null),
+        where: this._object(),
+        rule: () => null,
+        childName: (v) => (Array.isArray(v) ? names(v) : this._text()(v)),
+        profile: this._text({ orFalse: true }),
+        childModes: (v) => this._object()(v) ?? (v ? Object.values(v).map(this._oneOf('enable', 'disable', 'reconcile')).find(Boolean) ?? null : null),
+        sourceChild: this._text(),
+        allChildren: this._flag(),
+        autoNavigate: this._flag(),
+        clickConcurrency: this._number({ min: 1, integer: true }),
+        clickDelayMs: this._number({ min: 0 }),
+        pageDelayMs: this._number({ min: 0 }),
+        watch: this._flag(),
+        watchIntervalMs: this._number({ min: 1000 }),
+        watchMaxPerMinute: this._number({ min: 1 }),
+        adaptive: this._flag(),
+        maxRetries: this._number({ min: 0, integer: true }),
+        preparePage: this._flag(),
+        locale: this._oneOf('auto', ...Object.keys(Locale._packs)),
+        logLevel: this._oneOf('quiet', 'normal', 'verbose'),
+        dryRun: this._flag(),
+        confirmPlan: this._oneOf(false, 'confirm', 'go'),
+        verify: this._oneOf('report', 'fix', false),
+        engine: this._oneOf('ui', 'api'),
+        apiConcurrency: this._number({ min: 1, integer: true }),
+        apiTemplate: this._object(),
+        ui: this._flag(),
+        exportFormat: this._oneOf('json', 'csv'),
+        runReport: this._oneOf('html', 'csv', false),
+        desiredState: () => null,
+        reconcileUnlisted: this._oneOf(null, 'disable', 'enable'),
+      };
+    },
+
+    // Schema problems in a set of settings (all of CONFIG by default)
+    errors(values = CONFIG) {
+      const schema = this._schema();
+      const errors = [];
+      for (const [key, value] of Object.entries(values)) {
+        if (!(key in schema)) {
+          errors.push(`unknown setting "${key}"`);
+          continue;
+        }
+        const err = schema[key](value);
+        if (err) errors.push(`${key}: ${err}`);
+      }
+      return errors;
+    },
+
+    // Everything wrong with CONFIG; rules are only checked once their shape is right
+    problems() {
+      const errors = this.errors();
+      return errors.length > 0 ? errors : Filter.configErrors();
+    },
+
+    // Settings from a JSON string or object; throws on anything unreadable
+    _parse(source, what) {
+      let values = source;
+      if (typeof source === 'string') {
+        try {
+          values = JSON.parse(source);
+        } catch (e) {
+          throw new Error(`${what} is not valid JSON — ${e.message}`);
+        }
+      }
+      if (!values || typeof values !== 'object' || Array.isArray(values)) {
+        throw new Error(`${what} must be an object like { "mode": "disable" }`);
+      }
+      return values;
+    },
+
+    // #akm={...} (URL-encoded JSON) in the page address, or null
+    _fromFragment() {
+      const match = window.location.hash.match(/[#&]akm=([^&]*)/);
+      if (!match) return null;
+      try {
+        return this._parse(decodeURIComponent(match[1]), 'The #akm= part of the address');
+      } catch (e) {
+        this._notes.push(`ERROR: ${e.message} — ignored`);
+        return null;
+      }
+    },
+
+    // Build CONFIG from every layer
+    load() {
+      this.layers = ['script'];
+      if (Settings.apply()) this.layers.push('saved settings');
+      const fragment = this._fromFragment();
+      if (fragment) {
+        for (const key of Object.keys(fragment)) {
+          const err = this._urlAllowed.includes(key) ? this.errors({ [key]: fragment[key] })[0] : `"${key}" can't be set from the page address`;
+          if (!err) continue;
+          this._notes.push(`WARNING: ${err} — ignored`);
+          delete fragment[key];
+        }
+        if (Object.keys(fragment).length > 0) {
+          Object.assign(CONFIG, fragment);
+          this._fromUrl = fragment;
+          this.layers.push('URL');
+          this._notes.push(`Using settings from the page address: ${Object.keys(fragment).join(', ')}`);
+        }
+      }
+      this._notes.push(`Settings: ${this.layers.join(' → ')}`);
+    },
+
+    // Log what load() found, once the panel (if any) is there to show it
+    announce() {
+      for (const note of this._notes) {
+        if (note.startsWith('Settings: ')) Logger.verbose(note);
+        else Logger.info(note);
+      }
+      this._notes = [];
+    },
+
+    // Back to the values in the script, dropping saved settings, the link's and imports
+    reset() {
+      Settings.reset();
+      this._fromUrl = null;
+      this.layers = ['script'];
+    },
+
+    // Whether a run may start without a click. Settings from a link could have
+    // come from anyone, so the person at the keyboard has to agree first.
+    mayAutoStart() {
+      if (!this._fromUrl) return true;
+      const ok = window.confirm(
+        'Amazon Kids Content Manager: start a run with these settings from the page address?\n\n' +
+        `${JSON.stringify(this._fromUrl, null, 1)}\n\nOK = start, Cancel = do nothing`
+      );
+      if (!ok) Logger.info('Not started — run AKM.start() or AKM.showPanel() to go ahead');
+      return ok;
+    },
+
+    // Add an imported layer; rejected (and nothing changed) if it has problems
+    import(source) {
+      let values;
+      try {
+        values = this._parse(source, 'The import');
+      } catch (e) {
+        Logger.info(`ERROR: ${e.message}`);
+        return false;
+      }
+      const errors = this.errors(values);
+      if (errors.length > 0) {
+        for (const err of errors) Logger.info(`ERROR: import: ${err}`);
+        return false;
+      }
+      Object.assign(CONFIG, values);
+      if (!this.layers.includes('import')) this.layers.push('import');
+      Logger.info(`Imported settings: ${Object.keys(values).join(', ')}`);
+      return true;
+    },
+  };
+
+  // --------------------------------------------------------------------------
+  // Profiles — named policy presets in localStorage, with a default per child
+  // --------------------------------------------------------------------------
+  const Profiles = {
+    _key: 'akm:profiles',
+    // The CONFIG keys a profile holds
+    _keys: ['mode', 'contentTypes', 'keywords', 'excludeKeywords', 'keywordCaseSensitive', 'itemIds', 'excludeItemIds',
+      'titles', 'excludeTitles', 'typeRules', 'where', 'rule', 'dryRun'],
+
+    // { profiles: { name: { mode, ... } }, defaults: { directedId: name } }
+    _load() {
+      try {
+        const data = JSON.parse(localStorage.getItem(this._key) || 'null');
+        return { profiles: data?.profiles ?? {}, defaults: data?.defaults ?? {} };
+      } catch (e) {
+        Logger.verbose(`Ignoring unreadable profiles — ${e.message}`);
+        return { profiles: {}, defaults: {} };
+      }
+    },
+
+    _store(data) {
+      try {
+        localStorage.setItem(this._key, JSON.stringify(data, (k, v) => (v instanceof RegExp ? String(v) : v)));
+      } catch (e) {
+        Logger.info(`WARNING: Could not save profiles — ${e.message}`);
+      }
+    },
+
+    names() { return Object.keys(this._load().profiles).sort(); },
+    get(name) { return this._load().profiles[name] ?? null; },
+    all() { return this._load(); },
+
+    // Save the current CONFIG (or the given values; missing keys are cleared) under a name
+    save(name, values = null) {
+      const data = this._load();
+      const source = values ?? CONFIG;
+      const profile = {};
+      for (const key of this._keys) profile[key] = source[key] ?? null;
+      profile.mode ??= 'disable';
+      profile.dryRun = !!profile.dryRun;
+      profile.keywordCaseSensitive = !!profile.keywordCaseSensitive;
+      data.profiles[name] = profile;
+      this._store(data);
+    },
+
+    remove(name) {
+      const data = this._load();
+      delete data.profiles[name];
+      for (const [id, profile] of Object.entries(data.defaults)) {
+        if (profile === name) delete data.defaults[id];
+      }
+      this._store(data);
+    },
+
+    // Make a profile the default for a child (null clears it)
+    setDefault(directedId, name) {
+      const data = this._load();
+      if (name) data.defaults[directedId] = name;
+      else delete data.defaults[directedId];
+      this._store(data);
+    },
+
+    defaultFor(directedId) { return this._load().defaults[directedId] ?? null; },
+
+    // Copy a profile's policy into CONFIG; false when there is no such profile.
+    // A profile can turn a dry run on but never off.
+    apply(name) {
+      const profile = this.get(name);
+      if (!profile) return false;
+      const dryRun = CONFIG.dryRun;
+      for (const key of this._keys) {
+        if (key in profile) CONFIG[key] = profile[key];
+      }
+      CONFIG.dryRun = !!(dryRun || CONFIG.dryRun);
+      CONFIG.keywordCaseSensitive = !!CONFIG.keywordCaseSensitive;  // older profiles saved null
+      return true;
+    },
+
+    // The child a run will manage on its own: the selected child, the one named, or the only one
+    _detectedChild() {
+      const info = ItemSource.getChildInfo();
+      if (info.childId) return { directedId: info.childId, firstName: info.childName };
+      if (typeof CONFIG.childName === 'string') return ItemSource.findChild(CONFIG.childName);
+      const children = ItemSource.getChildren();
+      return !CONFIG.childName && children.length === 1 ? children[0] : null;
+    },
+
+    // The profile for this run: CONFIG.profile by name, else (unless it is false) the child's default
+    pick() {
+      if (CONFIG.profile) return { name: CONFIG.profile, child: null };
+      if (CONFIG.profile === false || CONFIG.childModes) return null;
+      const child = this._detectedChild();
+      const name = child ? this.defaultFor(child.directedId) : null;
+      return name ? { name, child: child.firstName } : null;
+    },
+  };
+
   // --------------------------------------------------------------------------
   // React Fiber Utility
   // --------------------------------------------------------------------------
@@ -199,14 +760,150 @@ const CONFIG = {
       return null;
     },
 
+    _isPageComponent(f) {
+      const p = f.memoizedProps;
+      return !!(p && typeof p.fetchItems === 'function' && p.itemProps && p.basePageData);
+    },
+
+    // The probe card and its depth are cached so later lookups skip the DOM
+    // query and the ancestor walk; a detached probe falls back to a full search
+    _page: null,
+
     findPageComponent() {
+      const cached = this._page;
+      if (cached?.probe.isConnected) {
+        let fiber = this.getFiber(cached.probe);
+        for (let i = 0; i < cached.depth && fiber; i++) fiber = fiber.return;
+        if (fiber && this._isPageComponent(fiber)) return fiber;
+      }
+      this._page = null;
+
       const probe = document.querySelector('.content-card-clickable') ||
                     document.querySelector('input[role="switch"]');
       if (!probe) return null;
-      return this.findAncestor(probe, (f) => {
-        const p = f.memoizedProps;
-        return p && typeof p.fetchItems === 'function' && p.itemProps && p.basePageData;
-      });
+      let fiber = this.getFiber(probe);
+      for (let depth = 0; depth < 60 && fiber; depth++) {
+        if (this._isPageComponent(fiber)) {
+          this._page = { probe, depth };
+          return fiber;
+        }
+        fiber = fiber.return;
+      }
+      return null;
+    },
+  };
+
+  // --------------------------------------------------------------------------
+  // Locale — dashboard text for each marketplace language
+  // --------------------------------------------------------------------------
+  // Some controls have nothing but their text to go by: Show more, Done, Cancel,
+  // Back, content type labels and error messages. Only the pack for the page's
+  // language (or CONFIG.locale) is used, so a word that means something else in
+  // another language is never matched.
+  const Locale = {
+    _packs: {
+      en: {
+        showMore: ['show more'],
+        done: ['done'],
+        cancel: ['cancel'],
+        types: { APP: ['app'], EBOOK: ['book', 'ebook', 'e-book'], VIDEO: ['video'], AUDIBLE: ['audible', 'audiobook'], SKILL: ['skill', 'alexa skill'] },
+        errors: ['error', 'wrong', 'try again', 'unable', 'failed', 'too many'],
+        back: ['back', 'go back'],
+      },
+      de: {
+        showMore: ['mehr anzeigen', 'weitere anzeigen'],
+        done: ['fertig'],
+        cancel: ['abbrechen'],
+        types: { APP: ['app'], EBOOK: ['buch', 'ebook', 'e-book'], VIDEO: ['video'], AUDIBLE: ['audible', 'hörbuch'], SKILL: ['skill', 'alexa skill'] },
+        errors: ['fehler', 'erneut', 'nicht möglich', 'fehlgeschlagen', 'zu viele'],
+        back: ['zurück'],
+      },
+      fr: {
+        showMore: ['afficher plus', 'voir plus', 'en voir plus'],
+        done: ['terminé', 'ok'],
+        cancel: ['annuler'],
+        types: { APP: ['appli', 'application', 'app'], EBOOK: ['livre', 'ebook', 'livre numérique'], VIDEO: ['vidéo', 'video'], AUDIBLE: ['audible', 'livre audio'], SKILL: ['skill', 'skill alexa'] },
+        errors: ['erreur', 'réessayer', 'impossible', 'échoué', 'trop de'],
+        back: ['retour'],
+      },
+      es: {
+        showMore: ['mostrar más', 'ver más'],
+        done: ['listo', 'hecho'],
+        cancel: ['cancelar'],
+        types: { APP: ['app', 'aplicación'], EBOOK: ['libro', 'ebook', 'libro electrónico'], VIDEO: ['vídeo', 'video'], AUDIBLE: ['audible', 'audiolibro'], SKILL: ['skill', 'skill de alexa'] },
+        errors: ['error', 'inténtalo de nuevo', 'no se puede', 'no se ha podido', 'demasiadas'],
+        back: ['atrás', 'volver'],
+      },
+      it: {
+        showMore: ['mostra altro', 'mostra di più', 'visualizza altro'],
+        done: ['fine', 'fatto'],
+        cancel: ['annulla'],
+        types: { APP: ['app'], EBOOK: ['libro', 'ebook', 'e-book'], VIDEO: ['video'], AUDIBLE: ['audible', 'audiolibro'], SKILL: ['skill', 'skill alexa'] },
+        errors: ['errore', 'riprova', 'impossibile', 'non riuscit', 'troppe'],
+        back: ['indietro'],
+      },
+      ja: {
+        showMore: ['もっと見る', 'さらに表示', 'さらに見る'],
+        done: ['完了'],
+        cancel: ['キャンセル'],
+        types: { APP: ['アプリ'], EBOOK: ['本', '電子書籍', 'ブック'], VIDEO: ['ビデオ', '動画'], AUDIBLE: ['audible', 'オーディオブック'], SKILL: ['スキル', 'alexaスキル'] },
+        errors: ['エラー', 'もう一度', 'できません', '失敗'],
+        back: ['戻る'],
+      },
+    },
+
+    // Marketplace domain → default language (amazon.ca may be English or French; the page's lang decides)
+    _domains: {
+      'amazon.com': 'en', 'amazon.ca': 'en', 'amazon.co.uk': 'en', 'amazon.com.au': 'en', 'amazon.in': 'en',
+      'amazon.de': 'de', 'amazon.fr': 'fr', 'amazon.es': 'es', 'amazon.com.mx': 'es',
+      'amazon.it': 'it', 'amazon.co.jp': 'ja',
+    },
+
+    _code: null,
+
+    detect() {
+      if (CONFIG.locale && CONFIG.locale !== 'auto') {
+        this._code = this._packs[CONFIG.locale] ? CONFIG.locale : 'en';
+        return this._code;
+      }
+      const lang = (document.documentElement.lang || '').slice(0, 2).toLowerCase();
+      const host = location.hostname.replace(/^.*?(amazon\.)/, '$1');
+      this._code = this._packs[lang] ? lang : (this._domains[host] ?? 'en');
+      return this._code;
+    },
+
+    code() { return this._code ?? this.detect(); },
+
+    // Only the page's own language counts: "ok" is Done in French, not on the English dashboard
+    _pack() { return this._packs[this.code()]; },
+
+    _normalize: (text) => (text || '').replace(/\s+/g, ' ').trim().toLowerCase(),
+
+    // Whether a button's text is exactly one of the key's phrases
+    is(key, text) {
+      const t = this._normalize(text);
+      return this._pack()[key].includes(t);
+    },
+
+    // Whether text contains one of the key's phrases
+    mentions(key, text) {
+      const t = this._normalize(text);
+      return t !== '' && this._pack()[key].some((phrase) => t.includes(phrase));
+    },
+
+    // Localized content type label → 'APP', 'EBOOK', ...
+    contentType(label) {
+      const t = this._normalize(label);
+      for (const [type, names] of Object.entries(this._pack().types)) {
+        if (names.includes(t)) return type;
+      }
+      return (label || 'UNKNOWN').toUpperCase();
+    },
+
+    // Split an aria-label like "Title, Type, ..." into its parts
+    splitLabel(label) {
+      const parts = label.split(', ');
+      return parts.length > 1 ? parts : label.split('、');
     },
   };
 
@@ -232,6 +929,7 @@ const CONFIG = {
     _fiberAvailable: false,
     _childId: null,
     _childName: null,
+    _children: [],
 
     init() {
       this._fiberAvailable = FiberUtil.init();
@@ -242,6 +940,7 @@ const CONFIG = {
           const bd = pc.memoizedProps.basePageData;
           this._childId = bd?.selectedChild?.directedId ?? null;
           this._childName = bd?.selectedChild?.firstName ?? null;
+          this._children = this._readChildren(bd);
         } else {
           Logger.info('Fiber keys found but page component not located — using DOM');
           this._fiberAvailable = false;
@@ -255,36 +954,112 @@ const CONFIG = {
       return { childId: this._childId, childName: this._childName };
     },
 
-    // Get items in child-selected mode (has inline switches)
-    getItemsChildSelected() {
+    // Point access-state reads at a specific child (no-child-selected mode)
+    setChild(childId, childName) {
+      this._childId = childId;
+      this._childName = childName;
+    },
+
+    // Find a child by display name (case-insensitive)
+    findChild(name) {
+      const wanted = (name || '').toLowerCase();
+      return this._children.find((c) => (c.firstName || '').toLowerCase() === wanted) ?? null;
+    },
+
+    hasFiber() { return this._fiberAvailable; },
+
+    // Every field path seen on the items (nested objects as 'a.b'), with how many items have it and a sample value
+    describeFields(items) {
+      const seen = new Map();
+      const walk = (obj, prefix, depth) => {
+        for (const [key, val] of Object.entries(obj)) {
+          const path = prefix + key;
+          if (val && typeof val === 'object' && !Array.isArray(val) && depth < 2 && key !== 'childDirectedIdAccessMap') {
+            walk(val, `${path}.`, depth + 1);
+            continue;
+          }
+          const entry = seen.get(path) ?? { field: path, count: 0, sample: undefined };
+          entry.count++;
+          if (entry.sample === undefined && val != null && val !== '') entry.sample = val;
+          seen.set(path, entry);
+        }
+      };
+      for (const item of items) if (item.fields) walk(item.fields, '', 0);
+      return Array.from(seen.values());
+    },
+
+    // All children on the account as [{ directedId, firstName }]
+    getChildren() { return this._children; },
+
+    // Resolve a child's directedId to a display name (falls back to the id)
+    childName(directedId) {
+      const child = this._children.find((c) => c.directedId === directedId);
+      return child?.firstName ?? directedId;
+    },
+
+    _readChildren(bd) {
+      const list = bd?.children ?? bd?.childList ?? bd?.childProfiles ?? [];
+      const children = (Array.isArray(list) ? list : [])
+        .filter((c) => c?.directedId)
+        .map((c) => ({ directedId: c.directedId, firstName: c.firstName ?? c.name ?? c.directedId }));
+      const selected = bd?.selectedChild;
+      if (selected?.directedId && !children.some((c) => c.directedId === selected.directedId)) {
+        children.push({ directedId: selected.directedId, firstName: selected.firstName ?? selected.directedId });
+      }
+      return children;
+    },
+
+    // Get items in child-selected mode (has inline switches).
+    // `from` skips items already seen, so each page only reads what it added.
+    getItemsChildSelected(from = 0) {
       if (this._fiberAvailable) {
-        const items = this._getFromFiber();
+        const items = this._getFromFiber(from);
         if (items) return items;
         this._fiberAvailable = false;
       }
-      return this._getFromDOMSwitches();
+      return this._getFromDOMSwitches(from);
     },
 
     // Get items in no-child-selected mode (has person icon buttons)
-    getItemsNoChild() {
+    getItemsNoChild(from = 0) {
       if (this._fiberAvailable) {
-        const items = this._getFromFiberNoChild();
+        const items = this._getFromFiberNoChild(from);
         if (items) return items;
         this._fiberAvailable = false;
       }
-      return this._getFromDOMAccessButtons();
+      return this._getFromDOMAccessButtons(from);
     },
 
-    _getFromFiber() {
+    // Number of items currently loaded, without building item objects
+    count(isChildSelected) {
+      if (this._fiberAvailable) {
+        const items = FiberUtil.findPageComponent()?.memoizedProps.itemProps?.items;
+        if (items) return items.length;
+      }
+      return document.querySelectorAll(isChildSelected ? 'input[role="switch"]' : '.allowlist-count').length;
+    },
+
+    // Fiber items line up one-to-one with these controls, so items are matched
+    // to them by index. Access buttons are a live collection, kept up to date
+    // by the browser instead of being queried again for every page.
+    _switches() {
+      return document.querySelectorAll('input[role="switch"]');
+    },
+    _accessBtns() {
+      return document.getElementsByClassName('allowlist-count');
+    },
+
+    _getFromFiber(from = 0) {
       const pc = FiberUtil.findPageComponent();
       if (!pc) return null;
       const props = pc.memoizedProps;
       const items = props.itemProps?.items;
       if (!items) return null;
       const childId = props.basePageData?.selectedChild?.directedId;
-      const switches = document.querySelectorAll('input[role="switch"]');
+      const switches = this._switches();
 
-      return items.map((item, idx) => {
+      return items.slice(from).map((item, i) => {
+        const idx = from + i;
         const accessVal = item.childDirectedIdAccessMap?.[childId];
         const isEnabled = accessVal === 'AVAILABLE';
         const sw = switches[idx] ?? null;
@@ -294,13 +1069,15 @@ const CONFIG = {
           title: item.title,
           contentType: item.activityCategory,
           isEnabled,
+          accessMap: item.childDirectedIdAccessMap ?? null,
+          fields: { ...item },
           _domSwitch: sw,
           _domCard: card,
         };
       });
     },
 
-    _getFromFiberNoChild() {
+    _getFromFiberNoChild(from = 0) {
       const pc = FiberUtil.findPageComponent();
       if (!pc) return null;
       const props = pc.memoizedProps;
@@ -309,9 +1086,10 @@ const CONFIG = {
 
       // In no-child-selected mode, we need a childId to check access
       const childId = this._childId;
-      const accessBtns = document.querySelectorAll('.allowlist-count');
+      const accessBtns = this._accessBtns();
 
-      return items.map((item, idx) => {
+      return items.slice(from).map((item, i) => {
+        const idx = from + i;
         let isEnabled = false;
         if (childId) {
           const accessVal = item.childDirectedIdAccessMap?.[childId];
@@ -324,38 +1102,40 @@ const CONFIG = {
           title: item.title,
           contentType: item.activityCategory,
           isEnabled,
+          accessMap: item.childDirectedIdAccessMap ?? null,
+          fields: { ...item },
           _accessBtn: accessBtn,
           _domCard: card,
         };
       });
     },
 
-    _getFromDOMSwitches() {
+    _getFromDOMSwitches(from = 0) {
       const switches = document.querySelectorAll('input[role="switch"]');
-      return Array.from(switches).map((sw) => {
-        const label = sw.getAttribute('aria-label') || '';
-        const lastComma = label.lastIndexOf(', ');
-        const title = lastComma >= 0 ? label.substring(0, lastComma) : label;
-        const contentType = lastComma >= 0 ? label.substring(lastComma + 2) : 'UNKNOWN';
+      return Array.from(switches).slice(from).map((sw) => {
+        // Format: "Title, Type"
+        const parts = Locale.splitLabel(sw.getAttribute('aria-label') || '');
+        const title = parts.length >= 2 ? parts.slice(0, -1).join(', ') : parts[0];
+        const contentType = parts.length >= 2 ? parts[parts.length - 1] : 'UNKNOWN';
         const card = sw.closest('.content-card-clickable') ||
                      sw.closest('[class*="content-card"]');
         return {
           itemId: null,
           title,
-          contentType: contentType.toUpperCase(),
+          contentType: Locale.contentType(contentType),
           isEnabled: sw.checked,
+          accessMap: null,
           _domSwitch: sw,
           _domCard: card,
         };
       });
     },
 
-    _getFromDOMAccessButtons() {
+    _getFromDOMAccessButtons(from = 0) {
       const accessBtns = document.querySelectorAll('.allowlist-count');
-      return Array.from(accessBtns).map((btn) => {
-        const label = btn.getAttribute('aria-label') || '';
-        // Format: "Title, Type, N children have access"
-        const parts = label.split(', ');
+      return Array.from(accessBtns).slice(from).map((btn) => {
+        // Format: "Title, Type, N children have access" (the last part is worded per locale)
+        const parts = Locale.splitLabel(btn.getAttribute('aria-label') || '');
         const title = parts.length >= 3 ? parts.slice(0, -2).join(', ') : (parts[0] || '');
         const contentType = parts.length >= 3 ? parts[parts.length - 2] : 'UNKNOWN';
         const countText = btn.textContent.trim();
@@ -365,33 +1145,70 @@ const CONFIG = {
         return {
           itemId: null,
           title,
-          contentType: contentType.toUpperCase(),
+          contentType: Locale.contentType(contentType),
           isEnabled: count > 0,  // rough heuristic when no fiber
+          accessMap: null,
           _accessBtn: btn,
           _domCard: card,
         };
       });
     },
 
-    getPagination() {
-      const buttons = document.querySelectorAll('button');
-      let showMoreBtn = null;
-      for (const btn of buttons) {
-        const txt = btn.textContent.toLowerCase();
-        if (txt.includes('show more')) { showMoreBtn = btn; break; }
+    // Ask the page to fetch its items again, so checks see what the server kept
+    // rather than what the page drew after each click. Returns { keys, complete }:
+    // the keys of the items that came back as new objects (empty when nothing
+    // was re-fetched), and whether they are the page's whole list.
+    async refresh() {
+      const none = { keys: new Set(), complete: false };
+      const props = () => (this._fiberAvailable ? FiberUtil.findPageComponent()?.memoizedProps : null);
+      const fetchItems = props()?.fetchItems;
+      if (typeof fetchItems !== 'function') return none;
+
+      const list = props().itemProps?.items;
+      const before = new Set(list ?? []);
+      try {
+        await fetchItems();
+      } catch (e) {
+        Logger.verbose(`Re-fetching items failed — ${e.message}`);
+        return none;
       }
+      // An empty list is an answer too: a child with everything disabled
+      const fetched = await waitFor(() => {
+        const itemProps = props()?.itemProps;
+        const items = itemProps?.items;
+        return items && items !== list && !itemProps.isLoading && (items.length === 0 || items.some((item) => !before.has(item))) ? itemProps : null;
+      }, 15000, 250);
+      if (!fetched) return none;
+
+      return {
+        keys: new Set(fetched.items
+          .filter((item) => !before.has(item))
+          .map((item) => itemKey({ itemId: item.itemId, contentType: item.activityCategory, title: item.title }))),
+        complete: fetched.isLastPage === true,
+      };
+    },
+
+    // The "show more" button, by its text only — any other button near the cards could do anything
+    _findShowMore() {
+      return Array.from(document.querySelectorAll('button'))
+        .find((b) => Locale.mentions('showMore', b.textContent)) ?? null;
+    },
 
-      let isLastPage = !showMoreBtn;
+    getPagination() {
+      let isLastPage = null;
       let isLoading = false;
       if (this._fiberAvailable) {
         const pc = FiberUtil.findPageComponent();
         if (pc) {
           const props = pc.memoizedProps;
-          isLastPage = props.itemProps?.isLastPage ?? isLastPage;
+          isLastPage = props.itemProps?.isLastPage ?? null;
           isLoading = props.itemProps?.isLoading ?? false;
         }
       }
 
+      const showMoreBtn = this._findShowMore();
+      if (isLastPage === null) isLastPage = !showMoreBtn;
+
       return {
         isLastPage,
         isLoading,
@@ -408,317 +1225,2719 @@ const CONFIG = {
       return CONFIG.keywordCaseSensitive ? str : (str || '').toLowerCase();
     },
 
-    shouldProcess(item) {
+    // Desired switch state of an item for a target child ({ name, directedId, mode }):
+    // true = enabled, false = disabled, null = leave alone
+    targetState(item, target) {
+      if (Plan.active) return Plan.want(item, target);
+      const mode = target?.mode ?? CONFIG.mode;
+      if (mode === 'reconcile' || mode === 'undo') return Reconciler.desired(item, target);
+      if (mode === 'copy') return item.accessMap && target.sourceId ? item.accessMap[target.sourceId] === 'AVAILABLE' : null;
+      return mode === 'enable';
+    },
+
+    // Current state of an item for a target child
+    currentState(item, target) {
       // For child-selected mode, use live DOM switch state
-      const isEnabled = item._domSwitch ? item._domSwitch.checked : item.isEnabled;
+      if (item._domSwitch) return item._domSwitch.checked;
+      if (item.accessMap && target?.directedId) return item.accessMap[target.directedId] === 'AVAILABLE';
+      return item.isEnabled;
+    },
 
+    // Whether any of the target children needs this item toggled
+    shouldProcess(item, targets = [null]) {
       // Mode check
-      if (CONFIG.mode === 'disable' && !isEnabled) return false;
-      if (CONFIG.mode === 'enable' && isEnabled) return false;
+      const needsChange = targets.some((t) => {
+        const want = this.targetState(item, t);
+        return want !== null && want !== this.currentState(item, t);
+      });
+      if (!needsChange) return false;
+
+      // Undo replays exactly what the journal recorded, regardless of filters
+      if (CONFIG.mode === 'undo') return true;
+
+      return this.matches(item);
+    },
+
+    // Whether an item passes every configured selection rule
+    matches(item) {
+      const type = (item.contentType || '').toUpperCase();
 
       // Content type filter
       if (CONFIG.contentTypes) {
-        const t = (item.contentType || '').toUpperCase();
-        if (!CONFIG.contentTypes.some((ct) => ct.toUpperCase() === t)) return false;
+        if (!CONFIG.contentTypes.some((ct) => ct.toUpperCase() === type)) return false;
       }
 
-      const title = this._normalize(item.title);
+      // Exact itemId / title lists
+      if (CONFIG.itemIds && !CONFIG.itemIds.includes(item.itemId)) return false;
+      if (CONFIG.excludeItemIds && CONFIG.excludeItemIds.includes(item.itemId)) return false;
+      if (CONFIG.titles && !this._titleIs(item, CONFIG.titles)) return false;
+      if (CONFIG.excludeTitles && this._titleIs(item, CONFIG.excludeTitles)) return false;
 
       // Include keywords — item must match at least one
       if (CONFIG.keywords && CONFIG.keywords.length > 0) {
-        const match = CONFIG.keywords.some((kw) => title.includes(this._normalize(kw)));
+        const match = CONFIG.keywords.some((kw) => this._keywordMatch(item.title, kw));
         if (!match) return false;
       }
 
       // Exclude keywords — item must NOT match any
       if (CONFIG.excludeKeywords && CONFIG.excludeKeywords.length > 0) {
-        const excluded = CONFIG.excludeKeywords.some((kw) => title.includes(this._normalize(kw)));
+        const excluded = CONFIG.excludeKeywords.some((kw) => this._keywordMatch(item.title, kw));
         if (excluded) return false;
       }
 
+      // Per-type rules — types not listed are left alone
+      if (CONFIG.typeRules) {
+        const key = Object.keys(CONFIG.typeRules).find((k) => k.toUpperCase() === type);
+        if (!key || !this.matchesRule(CONFIG.typeRules[key], item)) return false;
+      }
+
+      // Item metadata
+      if (CONFIG.where && !this.matchesWhere(CONFIG.where, item)) return false;
+
+      // Composed rule
+      if (CONFIG.rule != null && !this.matchesRule(CONFIG.rule, item)) return false;
+
       return true;
     },
-  };
 
-  // --------------------------------------------------------------------------
-  // Toggle Engine — Child-Selected Mode (concurrent card clicks)
-  // --------------------------------------------------------------------------
-  const CardClickEngine = {
-    _processedIds: new Set(),
-    _stats: { toggled: 0, skipped: 0, failed: 0, retried: 0 },
+    _operators: ['gte', 'gt', 'lte', 'lt', 'contains', 'exists', 'not'],
 
-    _waitForToggle(sw, expectedChecked, timeoutMs = 3000) {
-      return new Promise((resolve) => {
-        const start = Date.now();
-        const check = () => {
-          if (sw.checked === expectedChecked) { resolve(true); return; }
-          if (Date.now() - start > timeoutMs) { resolve(false); return; }
-          setTimeout(check, 50);
-        };
-        setTimeout(check, 50);
-      });
+    // A field by path ('ageRange.min'), matching key case loosely; DOM items only have the basics
+    _field(item, path) {
+      let value = item.fields ?? { itemId: item.itemId, title: item.title, activityCategory: item.contentType };
+      for (const part of path.split('.')) {
+        if (value == null || typeof value !== 'object') return undefined;
+        const key = part in value ? part : Object.keys(value).find((k) => k.toLowerCase() === part.toLowerCase());
+        value = key === undefined ? undefined : value[key];
+      }
+      return value;
     },
 
-    async processBatch(items) {
-      const toProcess = items.filter((item) => {
-        const key = item._domSwitch ?? item.itemId ?? item.title;
-        return !this._processedIds.has(key) && Filter.shouldProcess(item);
-      });
-
-      if (toProcess.length === 0) return;
+    // Whether a field value satisfies a where-condition (see CONFIG.where)
+    _valueMatches(value, cond) {
+      if (Array.isArray(cond)) return cond.some((c) => this._valueMatches(value, c));
+      if (Array.isArray(value)) return value.some((v) => this._valueMatches(v, cond));
 
-      for (const item of toProcess) {
-        this._processedIds.add(item._domSwitch ?? item.itemId ?? item.title);
+      const re = this._toRegex(cond);
+      if (re) {
+        re.lastIndex = 0;
+        return value != null && re.test(String(value));
       }
-
-      if (CONFIG.dryRun) {
-        for (const item of toProcess) {
-          Logger.verbose(`[DRY RUN] Would ${CONFIG.mode}: "${item.title}" (${item.contentType})`);
-        }
-        this._stats.skipped += toProcess.length;
-        return;
+      if (cond && typeof cond === 'object') {
+        const num = Number(value);
+        const checks = {
+          gte: () => value != null && num >= cond.gte,
+          gt: () => value != null && num > cond.gt,
+          lte: () => value != null && num <= cond.lte,
+          lt: () => value != null && num < cond.lt,
+          contains: () => value != null && String(value).toLowerCase().includes(String(cond.contains).toLowerCase()),
+          exists: () => (value != null && value !== '') === !!cond.exists,
+          not: () => !this._valueMatches(value, cond.not),
+        };
+        return Object.keys(cond).every((key) => checks[key]());
       }
+      if (cond == null) return value == null;
+      if (value == null) return false;
+      return typeof cond === 'string'
+        ? String(value).trim().toLowerCase() === cond.trim().toLowerCase()
+        : String(value) === String(cond);
+    },
 
-      const expectChecked = CONFIG.mode === 'enable';
+    // Every field in a where-object must match
+    matchesWhere(where, item) {
+      return Object.entries(where).every(([path, cond]) => this._valueMatches(this._field(item, path), cond));
+    },
 
-      for (let i = 0; i < toProcess.length; i += CONFIG.clickConcurrency) {
-        if (!State.isRunning()) break;
-        await State.checkPause();
-
-        const chunk = toProcess.slice(i, i + CONFIG.clickConcurrency);
-        const clickPromises = chunk.map((item) => {
-          const cardEl = item._domCard;
-          if (!cardEl) {
-            Logger.verbose(`No card element for "${item.title}"`);
-            this._stats.failed++;
-            return Promise.resolve();
-          }
-          const sw = item._domSwitch || cardEl.querySelector('input[role="switch"]');
-          cardEl.click();
-
-          if (sw) {
-            return this._waitForToggle(sw, expectChecked).then((ok) => {
-              if (ok) {
-                this._stats.toggled++;
-              } else {
-                this._stats.retried++;
-                cardEl.click();
-                return this._waitForToggle(sw, expectChecked, 3000).then((ok2) => {
-                  ok2 ? this._stats.toggled++ : this._stats.failed++;
-                });
-              }
-            });
-          } else {
-            this._stats.toggled++;
-            return Promise.resolve();
+    whereErrors(where, path = 'where') {
+      if (!where || typeof where !== 'object' || Array.isArray(where)) {
+        return [`${path}: expected an object like { publisher: 'PBS KIDS' }`];
+      }
+      const errors = [];
+      const check = (cond, at) => {
+        if (Array.isArray(cond)) { cond.forEach((c, i) => check(c, `${at}[${i}]`)); return; }
+        if (typeof cond === 'string') { errors.push(...this.ruleErrors(cond, at)); return; }
+        if (!cond || typeof cond !== 'object' || cond instanceof RegExp) return;
+        for (const [op, val] of Object.entries(cond)) {
+          if (!this._operators.includes(op)) {
+            errors.push(`${at}: unknown operator "${op}" (expected ${this._operators.join(', ')})`);
+          } else if (['gte', 'gt', 'lte', 'lt'].includes(op) && typeof val !== 'number') {
+            errors.push(`${at}.${op}: expected a number`);
+          } else if (op === 'not') {
+            check(val, `${at}.not`);
           }
+        }
+      };
+      for (const [field, cond] of Object.entries(where)) check(cond, `${path}.${field}`);
+      return errors;
+    },
+
+    _regexCache: new Map(),
+
+    // '/pattern/flags' strings and RegExp objects are regular expressions; other strings are substrings
+    _toRegex(kw) {
+      if (kw instanceof RegExp) return kw;
+      if (typeof kw !== 'string') return null;
+      if (!this._regexCache.has(kw)) {
+        const m = kw.match(/^\/(.+)\/([a-z]*)$/);
+        this._regexCache.set(kw, m ? new RegExp(m[1], m[2]) : null);
+      }
+      return this._regexCache.get(kw);
+    },
+
+    _keywordMatch(title, kw) {
+      const re = this._toRegex(kw);
+      if (re) {
+        re.lastIndex = 0;
+        return re.test(title || '');
+      }
+      return this._normalize(title || '').includes(this._normalize(kw));
+    },
+
+    _titleIs(item, titles) {
+      const title = this._normalize((item.title || '').trim());
+      return [].concat(titles).some((t) => this._normalize(String(t).trim()) === title);
+    },
+
+    // Evaluate a rule (see CONFIG.rule). Keys in one object are ANDed together.
+    matchesRule(rule, item) {
+      if (rule === true) return true;
+      if (rule === false) return false;
+      if (typeof rule === 'string' || rule instanceof RegExp) return this._keywordMatch(item.title, rule);
+
+      const list = (val) => [].concat(val);
+      const type = (item.contentType || '').toUpperCase();
+      const checks = {
+        all: () => list(rule.all).every((r) => this.matchesRule(r, item)),
+        any: () => list(rule.any).some((r) => this.matchesRule(r, item)),
+        not: () => !this.matchesRule(rule.not, item),
+        keyword: () => list(rule.keyword).some((kw) => this._keywordMatch(item.title, kw)),
+        title: () => this._titleIs(item, rule.title),
+        itemId: () => list(rule.itemId).includes(item.itemId),
+        type: () => list(rule.type).some((t) => String(t).toUpperCase() === type),
+        where: () => this.matchesWhere(rule.where, item),
+      };
+      return Object.keys(rule).every((key) => checks[key]());
+    },
+
+    // Problems with a rule, as readable strings (empty when the rule is usable)
+    ruleErrors(rule, path = 'rule') {
+      if (rule === true || rule === false || rule instanceof RegExp) return [];
+      if (typeof rule === 'string') {
+        try {
+          this._toRegex(rule);
+          return [];
+        } catch (e) {
+          return [`${path}: invalid regular expression ${rule} — ${e.message}`];
+        }
+      }
+      if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+        return [`${path}: expected a keyword, true/false or an object like { any: [...] }`];
+      }
+      const known = ['all', 'any', 'not', 'keyword', 'title', 'itemId', 'type', 'where'];
+      const keys = Object.keys(rule);
+      if (keys.length === 0) return [`${path}: empty rule object`];
+      const errors = [];
+      for (const key of keys) {
+        if (!known.includes(key)) errors.push(`${path}: unknown key "${key}" (expected ${known.join(', ')})`);
+      }
+      for (const key of ['all', 'any']) {
+        if (key in rule) [].concat(rule[key]).forEach((r, i) => errors.push(...this.ruleErrors(r, `${path}.${key}[${i}]`)));
+      }
+      if ('not' in rule) errors.push(...this.ruleErrors(rule.not, `${path}.not`));
+      if ('keyword' in rule) [].concat(rule.keyword).forEach((kw, i) => errors.push(...this.ruleErrors(kw, `${path}.keyword[${i}]`)));
+      if ('where' in rule) errors.push(...this.whereErrors(rule.where, `${path}.where`));
+      return errors;
+    },
+
+    // Problems with every rule-bearing CONFIG option
+    configErrors() {
+      const errors = [];
+      for (const key of ['keywords', 'excludeKeywords']) {
+        (CONFIG[key] ?? []).forEach((kw, i) => errors.push(...this.ruleErrors(kw, `${key}[${i}]`)));
+      }
+      for (const [type, rule] of Object.entries(CONFIG.typeRules ?? {})) {
+        errors.push(...this.ruleErrors(rule, `typeRules.${type}`));
+      }
+      if (CONFIG.where != null) errors.push(...this.whereErrors(CONFIG.where));
+      if (CONFIG.rule != null) errors.push(...this.ruleErrors(CONFIG.rule));
+      return errors;
+    },
+  };
+
+  // --------------------------------------------------------------------------
+  // Reconciler — desired-state snapshot for mode 'reconcile'
+  // --------------------------------------------------------------------------
+  const Reconciler = {
+    _byId: new Map(),
+    _byTitle: new Map(),
+    _matched: new Set(),
+    _unlisted: null,
+
+    _titleKey(title) { return (title || '').trim().toLowerCase(); },
+
+    // Interpret a state value: true/false, 'on'/'off', 'AVAILABLE'/'UNAVAILABLE', etc.
+    _toBool(val) {
+      if (typeof val === 'boolean') return val;
+      const v = String(val ?? '').trim().toLowerCase();
+      if (['on', 'true', 'enable', 'enabled', 'available', '+', '1'].includes(v)) return true;
+      if (['off', 'false', 'disable', 'disabled', 'unavailable', 'blocked', '-', '0'].includes(v)) return false;
+      return null;
+    },
+
+    // enabled is a boolean, or null when it depends on the child (export rows)
+    _add(itemId, title, enabled, row = null) {
+      const entry = { itemId: itemId ?? null, title: title ?? itemId, enabled, row };
+      if (itemId) this._byId.set(itemId, entry);
+      if (title) this._byTitle.set(this._titleKey(title), entry);
+    },
+
+    // Load a desired state; returns the number of entries
+    load(source, { unlisted = CONFIG.reconcileUnlisted } = {}) {
+      this._byId.clear();
+      this._byTitle.clear();
+      this._matched.clear();
+      this._unlisted = unlisted;
+
+      let data = source;
+      if (typeof data === 'string' && /^\s*[[{]/.test(data)) data = JSON.parse(data);
+
+      if (typeof data === 'string') {
+        for (const line of data.split(/\r?\n/)) {
+          const m = line.trim().match(/^([+-])\s*(.+)$/);
+          if (!m) continue;
+          // A bare token could be an itemId or a title; register it as both
+          this._add(m[2], m[2], m[1] === '+');
+        }
+      } else if (Array.isArray(data) || Array.isArray(data?.items)) {
+        for (const row of Array.isArray(data) ? data : data.items) {
+          const enabled = this._toBool(row.enabled ?? row.state);
+          this._add(row.itemId, row.title, enabled, enabled === null ? row : null);
+        }
+      } else if (data && typeof data === 'object') {
+        for (const [key, val] of Object.entries(data)) {
+          const enabled = this._toBool(val);
+          if (enabled !== null) this._add(key, key, enabled);
+        }
+      }
+
+      return new Set([...this._byId.values(), ...this._byTitle.values()]).size;
+    },
+
+    desired(item, target) {
+      const entry = (item.itemId && this._byId.get(item.itemId)) ||
+                    this._byTitle.get(this._titleKey(item.title));
+      if (entry) {
+        this._matched.add(entry);
+        if (!entry.row) return entry.enabled;
+        // Export rows carry every child's state; pick the target child's
+        const raw = entry.row.childDirectedIdAccessMap?.[target?.directedId] ??
+                    entry.row.access?.[target?.name];
+        const enabled = this._toBool(raw);
+        if (enabled !== null) return enabled;
+      }
+      if (this._unlisted === 'disable') return false;
+      if (this._unlisted === 'enable') return true;
+      return null;
+    },
+
+    // Entries never seen in the catalog during this run
+    unmatched() {
+      const all = new Set([...this._byId.values(), ...this._byTitle.values()]);
+      return Array.from(all).filter((e) => !this._matched.has(e));
+    },
+  };
+
+  // --------------------------------------------------------------------------
+  // Exporter — inventory of every item and its per-child access state
+  // --------------------------------------------------------------------------
+  const Exporter = {
+    _rows: new Map(),
+
+    collect(items) {
+      for (const item of items) {
+        this._rows.set(item.itemId ?? item.title, {
+          itemId: item.itemId,
+          title: item.title,
+          activityCategory: item.contentType,
+          childDirectedIdAccessMap: item.accessMap ?? {},
+          fields: item.fields ?? null,
         });
+      }
+    },
 
-        await Promise.all(clickPromises);
-        if (i + CONFIG.clickConcurrency < toProcess.length) {
-          await sleep(CONFIG.clickDelayMs);
+    size() { return this._rows.size; },
+
+    reset() { this._rows = new Map(); },
+
+    // Every child id seen, in basePageData order first, then any extras from access maps
+    _childIds() {
+      const ids = ItemSource.getChildren().map((c) => c.directedId);
+      for (const row of this._rows.values()) {
+        for (const id of Object.keys(row.childDirectedIdAccessMap)) {
+          if (!ids.includes(id)) ids.push(id);
         }
       }
+      return ids;
     },
 
-    getStats() { return { ...this._stats }; },
+    toJSON() {
+      const children = this._childIds().map((id) => ({ directedId: id, name: ItemSource.childName(id) }));
+      const items = Array.from(this._rows.values()).map((row) => {
+        const access = {};
+        for (const [id, val] of Object.entries(row.childDirectedIdAccessMap)) {
+          access[ItemSource.childName(id)] = val;
+        }
+        const { fields, ...rest } = row;
+        const extra = {};
+        for (const [key, val] of Object.entries(fields ?? {})) {
+          if (!(key in rest)) extra[key] = val;
+        }
+        return { ...rest, access, fields: extra };
+      });
+      return JSON.stringify({ exportedAt: new Date().toISOString(), children, items }, null, 2);
+    },
+
+    toCSV() {
+      const ids = this._childIds();
+      const header = ['itemId', 'title', 'activityCategory', ...ids.map((id) => ItemSource.childName(id))];
+      const lines = [header.map(csvCell).join(',')];
+      for (const row of this._rows.values()) {
+        const access = ids.map((id) => row.childDirectedIdAccessMap[id] ?? '');
+        lines.push([row.itemId, row.title, row.activityCategory, ...access].map(csvCell).join(','));
+      }
+      return lines.join('\r\n');
+    },
   };
 
   // --------------------------------------------------------------------------
-  // Toggle Engine — No-Child-Selected Mode (sequential panel toggles)
+  // Journal — every toggle, persisted to localStorage for undo
   // --------------------------------------------------------------------------
-  const PanelEngine = {
-    _processedIds: new Set(),
-    _stats: { toggled: 0, skipped: 0, failed: 0, retried: 0 },
-    _targetChildName: null,
+  const Journal = {
+    _key: 'akm:journal',
+    _maxRuns: 10,
+    _runs: null,
+    _current: null,
+    _flushTimer: null,
+    _shared: false,
 
-    init(childName) {
-      this._targetChildName = childName;
+    _load() {
+      if (this._runs) return this._runs;
+      try {
+        this._runs = JSON.parse(localStorage.getItem(this._key) || '[]');
+      } catch (e) {
+        Logger.info(`WARNING: Journal unreadable, starting fresh — ${e.message}`);
+        this._runs = [];
+      }
+      return this._runs;
     },
 
-    // Open the "Manage access" panel for an item
-    async _openPanel(accessBtn) {
-      accessBtn.click();
-      // Wait for the switch to appear in the dialog
-      const sw = await waitFor(
-        () => document.querySelector('[role="dialog"] input[role="switch"], .panda-site-sheet-container input[role="switch"]'),
-        3000, 100
-      );
-      return sw;
+    // Over the storage quota, the oldest runs are dropped until it fits; the
+    // current run is never dropped
+    flush() {
+      clearTimeout(this._flushTimer);
+      this._flushTimer = null;
+      const runs = this._load();
+      for (;;) {
+        try {
+          localStorage.setItem(this._key, JSON.stringify(runs));
+          return;
+        } catch (e) {
+          const oldest = runs.findIndex((r) => r !== this._current);
+          if (oldest < 0) {
+            Logger.info(`WARNING: Could not save journal — ${e.message}. This run can't be fully undone.`);
+            return;
+          }
+          runs.splice(oldest, 1);
+          Logger.verbose('Journal too big for storage — dropped the oldest run');
+        }
+      }
     },
 
-    // Find the correct child's switch in the panel (when there are multiple children)
-    _findChildSwitch() {
-      const container = document.querySelector('.panda-site-sheet-container') ||
-                        document.querySelector('[role="dialog"]');
-      if (!container) return null;
+    // Start a new run; older runs beyond _maxRuns are dropped.
+    // Inside share(), only the first begin() starts one and the rest join it.
+    begin(mode) {
+      if (this._shared && this._current) return;
+      const runs = this._load();
+      this._current = { id: Date.now(), startedAt: new Date().toISOString(), mode, undone: false, entries: [] };
+      runs.push(this._current);
+      runs.splice(0, Math.max(0, runs.length - this._maxRuns));
+      this.flush();
+    },
 
-      const switches = container.querySelectorAll('input[role="switch"]');
-      if (switches.length === 0) return null;
+    record(item, target, prev, next) {
+      if (!this._current) return;
+      this._current.entries.push({
+        itemId: item.itemId,
+        title: item.title,
+        child: target?.name ?? null,
+        childId: target?.directedId ?? null,
+        prev,
+        next,
+        ts: Date.now(),
+      });
+      // Debounced so a fast batch doesn't rewrite the whole journal per toggle
+      if (!this._flushTimer) this._flushTimer = setTimeout(() => this.flush(), 500);
+    },
 
-      // If only one child, return the only switch
-      if (switches.length === 1) return switches[0];
+    // Record everything fn changes as one journal run, so one undo reverts all of it
+    async share(fn) {
+      this._current = null;
+      this._shared = true;
+      try {
+        return await fn();
+      } finally {
+        this._shared = false;
+      }
+    },
 
-      // Multiple children — find by name
-      if (this._targetChildName) {
-        for (const sw of switches) {
-          const row = sw.closest('label')?.parentElement;
-          if (row && row.textContent.includes(this._targetChildName)) return sw;
+    // Most recent run with changes that hasn't been undone (undo runs themselves are skipped)
+    lastRun() {
+      const runs = this._load();
+      for (let i = runs.length - 1; i >= 0; i--) {
+        const run = runs[i];
+        if (!run.undone && run.mode !== 'undo' && run.entries.length > 0) return run;
+      }
+      return null;
+    },
+
+    markUndone(runId) {
+      const run = this._load().find((r) => r.id === runId);
+      if (run) run.undone = true;
+      this.flush();
+    },
+  };
+
+  // Journal a successful toggle, remember it for verification and tell listeners
+  function reportToggle(item, target, prev, next) {
+    const child = target?.name ?? '';
+    RunInfo.toggledFor[child] = (RunInfo.toggledFor[child] ?? 0) + 1;
+    Journal.record(item, target, prev, next);
+    Verifier.expect(item, target, next);
+    RunReport.toggled(item, target, prev, next);
+    FailureQueue.resolve(item, target);
+    Events.emit('itemToggled', {
+      item: describeItem(item),
+      child: target?.name ?? null,
+      childId: target?.directedId ?? null,
+      previous: prev,
+      next,
+    });
+  }
+
+  // Queue a failed item for retry and tell listeners
+  function reportFailure(item, target, reason) {
+    FailureQueue.add(item, target, reason);
+    RunReport.failed(item, target, reason);
+    Events.emit('itemFailed', {
+      item: describeItem(item),
+      child: target?.name ?? null,
+      childId: target?.directedId ?? null,
+      reason,
+    });
+  }
+
+  // --------------------------------------------------------------------------
+  // Failure Queue — failed items, why they failed, and how often
+  // --------------------------------------------------------------------------
+  const FailureQueue = {
+    _entries: new Map(),  // "itemKey|child" → { key, item, target, reason, attempts }
+
+    reset() { this._entries = new Map(); },
+
+    _id(item, target) { return `${itemKey(item)}|${target?.directedId ?? target?.name ?? ''}`; },
+
+    add(item, target, reason) {
+      const id = this._id(item, target);
+      const entry = this._entries.get(id) ?? { key: itemKey(item), item: describeItem(item), target, reason, attempts: 0 };
+      entry.reason = reason;
+      entry.attempts++;
+      this._entries.set(id, entry);
+    },
+
+    // A success clears the item for that child, and any failure not tied to a child
+    resolve(item, target) {
+      this._entries.delete(this._id(item, target));
+      this._entries.delete(this._id(item, null));
+    },
+
+    // Drop entries for these items that didn't fail again since `attempts` was taken
+    settle(keys, attempts) {
+      for (const [id, entry] of this._entries) {
+        if (keys.has(entry.key) && entry.attempts === attempts.get(id)) this._entries.delete(id);
+      }
+    },
+
+    size() { return this._entries.size; },
+    entries() { return Array.from(this._entries.entries()); },
+    itemKeys() { return new Set(Array.from(this._entries.values(), (e) => e.key)); },
+  };
+
+  // --------------------------------------------------------------------------
+  // Verifier — did toggled items really end up in their target state?
+  // --------------------------------------------------------------------------
+  const Verifier = {
+    _expected: new Map(),
+
+    reset() { this._expected = new Map(); },
+
+    expect(item, target, next) {
+      const key = itemKey(item);
+      this._expected.set(`${key}|${target?.directedId ?? target?.name ?? ''}`, { key, item: describeItem(item), target, next });
+    },
+
+    size() { return this._expected.size; },
+
+    // Compare against items the page re-fetched (`fresh` is ItemSource.refresh()'s
+    // result). `enabledOnly` says the list holds only the child's enabled items,
+    // as in the child-selected view, so an item missing from the whole list is
+    // disabled. { verified, mismatched: [...], unverifiable }
+    check(items, fresh, enabledOnly) {
+      const byKey = new Map(items.map((item) => [itemKey(item), item]));
+      const result = { verified: 0, mismatched: [], unverifiable: 0 };
+      for (const exp of this._expected.values()) {
+        if (enabledOnly && fresh.complete && !fresh.keys.has(exp.key)) {
+          if (exp.next === false) result.verified++;
+          else result.mismatched.push(exp);
+          continue;
+        }
+        const item = byKey.get(exp.key);
+        // Switches and access maps drawn after a click only echo what was sent,
+        // so only an access map fetched again from the server counts
+        if (!item || !fresh.keys.has(exp.key) || !item.accessMap || !exp.target?.directedId) {
+          result.unverifiable++;
+          continue;
+        }
+        if ((item.accessMap[exp.target.directedId] === 'AVAILABLE') === exp.next) {
+          result.verified++;
+        } else {
+          result.mismatched.push(exp);
         }
       }
+      return result;
+    },
+  };
 
-      // Fallback: return first switch
-      return switches[0];
+  // --------------------------------------------------------------------------
+  // Run Report — every item a run looked at, for a downloadable record
+  // --------------------------------------------------------------------------
+  const RunReport = {
+    _rows: new Map(),     // "itemKey|child" → row
+    _byItem: new Map(),   // itemKey → rows for every child
+    _run: null,
+
+    // Modes that change access; the others have their own output
+    _modes: ['enable', 'disable', 'reconcile', 'copy', 'undo'],
+
+    begin() {
+      this._rows = new Map();
+      this._byItem = new Map();
+      this._run = {
+        config: null,
+        startedAt: new Date(),
+        finishedAt: null,
+        pageModes: new Set(),
+        children: new Set(),
+      };
     },
 
-    // Click Done to confirm changes
-    async _clickDone() {
-      const doneBtn = await waitFor(() => {
-        return Array.from(document.querySelectorAll('button')).find(
-          (b) => b.textContent.trim() === 'Done'
-        );
-      }, 2000, 100);
-      if (doneBtn) {
-        doneBtn.click();
-        // Wait for panel to close / toast to appear
-        await sleep(300);
-        return true;
+    // main() calls this once per view it runs in, after profiles and resume
+    // have settled CONFIG
+    context(pageMode, targets) {
+      if (!this._run) return;
+      this._run.config = this._run.config ?? JSON.parse(JSON.stringify(CONFIG));
+      this._run.pageModes.add(pageMode);
+      for (const t of targets) this._run.children.add(t?.name || '(first child)');
+    },
+
+    _state(enabled) {
+      return enabled == null ? '' : enabled ? 'enabled' : 'disabled';
+    },
+
+    _row(item, target, before) {
+      const key = itemKey(item);
+      const id = `${key}|${target?.directedId ?? target?.name ?? ''}`;
+      let row = this._rows.get(id);
+      if (!row) {
+        row = {
+          itemId: item.itemId ?? '',
+          title: item.title,
+          contentType: item.contentType,
+          child: target?.name ?? '',
+          before: this._state(before),
+          after: this._state(before),
+          action: 'none',
+          reason: '',
+          time: '',
+        };
+        this._rows.set(id, row);
+        if (!this._byItem.has(key)) this._byItem.set(key, []);
+        this._byItem.get(key).push(row);
       }
-      return false;
+      return row;
     },
 
-    // Close the panel without saving
-    async _clickCancel() {
-      const cancelBtn = Array.from(document.querySelectorAll('button')).find(
-        (b) => b.textContent.trim() === 'Cancel'
-      );
-      if (cancelBtn) {
-        cancelBtn.click();
-        await sleep(200);
+    // Record the state of newly loaded items before the engine sees them
+    consider(items, targets) {
+      if (!this._run) return;
+      for (const item of items) {
+        for (const t of targets) {
+          if (this._rows.has(`${itemKey(item)}|${t?.directedId ?? t?.name ?? ''}`)) continue;
+          const before = Filter.currentState(item, t);
+          const want = Filter.targetState(item, t);
+          const row = this._row(item, t, before);
+          if (want === null) {
+            row.reason = 'no desired state';
+          } else if (want === before) {
+            row.reason = `already ${this._state(want)}`;
+          } else if (CONFIG.mode !== 'undo' && !Filter.matches(item)) {
+            row.reason = 'filtered out';
+          } else if (CONFIG.dryRun) {
+            row.action = `would ${actionName(want)}`;
+            row.reason = 'dry run';
+          } else {
+            row.action = 'pending';
+          }
+        }
       }
     },
 
-    async processItems(items) {
-      const toProcess = items.filter((item) => {
-        const key = item._accessBtn ?? item.itemId ?? item.title;
-        return !this._processedIds.has(key) && Filter.shouldProcess(item);
+    toggled(item, target, prev, next) {
+      if (!this._run) return;
+      const row = this._row(item, target, prev);
+      Object.assign(row, { after: this._state(next), action: actionName(next), reason: '', time: new Date().toISOString() });
+    },
+
+    // A failure without a child applies to every child's row for the item
+    failed(item, target, reason) {
+      if (!this._run) return;
+      const rows = target ? [this._row(item, target, Filter.currentState(item, target))] : this._byItem.get(itemKey(item)) ?? [];
+      for (const row of rows) {
+        if (row.action !== 'pending' && row.action !== 'failed') continue;
+        Object.assign(row, { action: 'failed', reason, time: new Date().toISOString() });
+      }
+    },
+
+    // Verification found the change didn't stick
+    mismatched(exp) {
+      const row = this._rows.get(`${exp.key}|${exp.target?.directedId ?? exp.target?.name ?? ''}`);
+      if (row) Object.assign(row, { after: this._state(!exp.next), reason: 'did not stick (verification)' });
+    },
+
+    rows() {
+      const stopped = RunInfo.plan?.confirmed === false ? 'plan not confirmed'
+        : RunInfo.stopped ? 'run stopped first' : 'not processed';
+      return Array.from(this._rows.values(), (row) => (row.action === 'pending'
+        ? { ...row, action: 'none', reason: stopped }
+        : row));
+    },
+
+    // Whether the last run changed (or could have changed) anything worth reporting
+    available() {
+      return !!this._run?.config && this._modes.includes(this._run.config.mode);
+    },
+
+    // Close the run and download the report
+    finish(format = CONFIG.runReport) {
+      const run = this._run;
+      if (!this.available()) return;
+      run.finishedAt = run.finishedAt ?? new Date();
+      if (!format) return;
+      const stamp = run.startedAt.toISOString().replace(/[:.]/g, '-');
+      if (format === 'csv') {
+        downloadFile(`akm-run-${stamp}.csv`, this.toCSV(), 'text/csv');
+      } else {
+        downloadFile(`akm-run-${stamp}.html`, this.toHTML(), 'text/html');
+      }
+      Logger.info(`Run report downloaded (${this._rows.size} rows)`);
+    },
+
+    _summary() {
+      const run = this._run;
+      const seconds = Math.round(((run.finishedAt ?? new Date()) - run.startedAt) / 1000);
+      return [
+        ['Mode', run.config.mode],
+        ['View', Array.from(run.pageModes).join(', ')],
+        ['Children', Array.from(run.children).join(', ')],
+        ['Started', run.startedAt.toISOString()],
+        ['Finished', run.finishedAt?.toISOString() ?? ''],
+        ['Duration', `${Math.floor(seconds / 60)}m${seconds % 60}s`],
+        ['Dry run', run.config.dryRun ? 'yes' : 'no'],
+        ['Stopped early', RunInfo.stopped ? 'yes' : 'no'],
+      ];
+    },
+
+    _columns: ['itemId', 'title', 'contentType', 'child', 'before', 'after', 'action', 'reason', 'time'],
+
+    // Summary and settings as comment lines, then one line per item and child
+    toCSV() {
+      const lines = this._summary().map(([k, v]) => `# ${k}: ${v}`);
+      lines.push(`# Config: ${JSON.stringify(this._run.config)}`);
+      lines.push(this._columns.join(','));
+      for (const row of this.rows()) lines.push(this._columns.map((c) => csvCell(row[c])).join(','));
+      return lines.join('\r\n');
+    },
+
+    toHTML() {
+      const rows = this.rows();
+      const counts = {};
+      for (const row of rows) counts[row.action] = (counts[row.action] ?? 0) + 1;
+      const cells = (values, tag) => values.map((v) => `<${tag}>${htmlText(v)}</${tag}>`).join('');
+      const summary = [...this._summary(), ...Object.entries(counts).map(([action, n]) => [`Items: ${action}`, n])];
+      const itemRows = rows.map((row) => {
+        const cls = row.action === 'failed' ? 'failed' : row.before !== row.after ? 'changed' : '';
+        return `<tr class="${cls}">${cells(this._columns.map((c) => row[c]), 'td')}</tr>`;
       });
+      return `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><title>Amazon Kids run — ${htmlText(this._run.startedAt.toISOString())}</title>
+<style>
+  body { font: 13px/1.4 system-ui, sans-serif; margin: 24px; color: #222; }
+  table { border-collapse: collapse; margin-bottom: 24px; }
+  th, td { border: 1px solid #ccc; padding: 3px 6px; text-align: left; vertical-align: top; }
+  th { background: #f0f0f0; }
+  tr.failed td { background: #fde8e8; }
+  tr.changed td { background: #e8f6e8; }
+  pre { background: #f6f6f6; padding: 8px; overflow: auto; }
+</style></head><body>
+<h1>Amazon Kids Content Manager — run report</h1>
+<table>${summary.map(([k, v]) => `<tr>${cells([k], 'th')}${cells([v], 'td')}</tr>`).join('')}</table>
+<h2>Items</h2>
+<table><tr>${cells(this._columns, 'th')}</tr>
+${itemRows.join('\n')}
+</table>
+<h2>Settings</h2>
+<pre>${htmlText(JSON.stringify(this._run.config, null, 2))}</pre>
+</body></html>`;
+    },
+  };
 
-      if (toProcess.length === 0) return;
+  // --------------------------------------------------------------------------
+  // Checkpoint — run progress in localStorage so a reload can resume
+  // --------------------------------------------------------------------------
+  const Checkpoint = {
+    _key: 'akm:checkpoint',
+    _maxAgeMs: 24 * 60 * 60 * 1000,
+    _run: null,
+    _saveTimer: null,
 
-      for (const item of toProcess) {
-        this._processedIds.add(item._accessBtn ?? item.itemId ?? item.title);
+    // Saved checkpoint, or null if none / too old
+    load() {
+      try {
+        const data = JSON.parse(localStorage.getItem(this._key) || 'null');
+        if (data && Date.now() - data.savedAt < this._maxAgeMs) return data;
+      } catch (e) {
+        Logger.verbose(`Ignoring unreadable checkpoint — ${e.message}`);
       }
+      return null;
+    },
 
-      if (CONFIG.dryRun) {
-        for (const item of toProcess) {
-          Logger.verbose(`[DRY RUN] Would ${CONFIG.mode}: "${item.title}" (${item.contentType})`);
+    // Start checkpointing a run; pageNum is kept current by the caller.
+    // The selected child and the targets are kept so a resume only happens for the same children.
+    begin(pageMode, engine, targets) {
+      const { childId, childName } = ItemSource.getChildInfo();
+      this._run = {
+        pageMode,
+        engine,
+        pageNum: 0,
+        selected: pageMode === 'child-selected' ? { directedId: childId, name: childName } : null,
+        targets: targets.map((t) => ({ name: t?.name ?? null, directedId: t?.directedId ?? null })),
+      };
+      this._write();
+    },
+
+    setPage(pageNum) {
+      if (!this._run) return;
+      this._run.pageNum = pageNum;
+      this._write();
+    },
+
+    // Debounced — engines call this after every item
+    save() {
+      if (!this._run || this._saveTimer) return;
+      this._saveTimer = setTimeout(() => this._write(), 1000);
+    },
+
+    _write() {
+      clearTimeout(this._saveTimer);
+      this._saveTimer = null;
+      if (!this._run) return;
+      const { pageMode, engine, pageNum, selected, targets } = this._run;
+      try {
+        localStorage.setItem(this._key, JSON.stringify({
+          savedAt: Date.now(),
+          config: CONFIG,
+          pageMode,
+          pageNum,
+          selected,
+          targets,
+          plan: Plan.active ? Plan.snapshot() : null,
+          ...engine.snapshot(),
+        }, (key, val) => (val instanceof RegExp ? String(val) : val)));
+      } catch (e) {
+        Logger.verbose(`Could not save checkpoint — ${e.message}`);
+      }
+    },
+
+    // Stop checkpointing; the saved copy is removed when the run finished
+    end(finished) {
+      if (this._run && !finished) this._write();
+      clearTimeout(this._saveTimer);
+      this._saveTimer = null;
+      this._run = null;
+      if (finished) localStorage.removeItem(this._key);
+    },
+
+    // Offer to resume a saved run in the same view; returns the checkpoint if accepted
+    offerResume(pageMode) {
+      const saved = this.load();
+      if (!saved) return null;
+      if (saved.pageMode !== pageMode) {
+        Logger.info(`Found an unfinished run from the ${saved.pageMode} view — switch views to resume it`);
+        return null;
+      }
+      if (!saved.targets) {
+        Logger.info('Found an unfinished run that doesn\'t say which child it was for — not resuming it');
+        return null;
+      }
+      const names = saved.targets.map((t) => t.name ?? '(first child)').join(', ');
+      const selectedId = ItemSource.getChildInfo().childId;
+      if (pageMode === 'child-selected' && saved.selected?.directedId !== selectedId) {
+        Logger.info(`Found an unfinished run for ${saved.selected?.name ?? 'another child'} — open that child's view to resume it`);
+        return null;
+      }
+      const children = ItemSource.getChildren();
+      const missing = saved.targets.filter((t) => t.directedId && children.length > 0 && !children.some((c) => c.directedId === t.directedId));
+      if (missing.length > 0) {
+        Logger.info(`Found an unfinished run for ${names}, but ${missing.map((t) => t.name).join(', ')} isn't on this page — not resuming it`);
+        return null;
+      }
+      const when = new Date(saved.savedAt).toLocaleString();
+      const ok = window.confirm(
+        `Amazon Kids Content Manager: resume the unfinished "${saved.config.mode}" run for ${names} from ${when}?\n` +
+        `(page ${saved.pageNum}, ${saved.processed.length} items done)\n\n` +
+        'OK = resume, Cancel = start fresh with the current CONFIG'
+      );
+      if (!ok) {
+        localStorage.removeItem(this._key);
+        return null;
+      }
+      return saved;
+    },
+  };
+
+  // --------------------------------------------------------------------------
+  // Throttle — backs off when the dashboard shows signs of rate limiting
+  // --------------------------------------------------------------------------
+  const Throttle = {
+    _factor: 1,          // share of the configured concurrency in use
+    _slow: 1,            // multiplier on the configured delays
+    _healthy: 0,         // successes since the last slowdown / speedup
+    _lastSlowdown: 0,
+    _baseline: null,     // typical toggle latency, from the first samples
+    _samples: [],
+    _avg: null,
+    _observer: null,
+
+    reset() {
+      Object.assign(this, { _factor: 1, _slow: 1, _healthy: 0, _lastSlowdown: 0, _baseline: null, _samples: [], _avg: null });
+    },
+
+    concurrency(base) {
+      return CONFIG.adaptive ? Math.max(1, Math.round(base * this._factor)) : base;
+    },
+
+    delay(base) {
+      if (!CONFIG.adaptive || this._slow === 1) return base;
+      return Math.round(Math.max(base, 100) * this._slow);
+    },
+
+    _describe() {
+      return `concurrency ${this.concurrency(CONFIG.clickConcurrency)}, delay ${this.delay(CONFIG.clickDelayMs)}ms`;
+    },
+
+    slowDown(reason) {
+      if (!CONFIG.adaptive) return;
+      this._healthy = 0;
+      // One burst of trouble is one slowdown
+      if (Date.now() - this._lastSlowdown < 3000) return;
+      this._lastSlowdown = Date.now();
+      if (this._factor <= 0.05 && this._slow >= 32) return;
+      this._factor = Math.max(0.05, this._factor / 2);
+      this._slow = Math.min(32, this._slow * 2);
+      Logger.info(`Possible rate limiting (${reason}) — slowing down to ${this._describe()}`);
+    },
+
+    ok() {
+      if (!CONFIG.adaptive || (this._factor === 1 && this._slow === 1)) return;
+      if (++this._healthy < 20) return;
+      this._healthy = 0;
+      this._factor = Math.min(1, this._factor * 1.5);
+      this._slow = Math.max(1, this._slow / 1.5);
+      if (this._slow < 1.1) this._slow = 1;
+      Logger.info(`Dashboard looks healthy — speeding up to ${this._describe()}`);
+    },
+
+    // Toggle / request latency in ms; a sustained rise over the early baseline is a warning sign
+    latency(ms) {
+      if (!CONFIG.adaptive) return;
+      if (this._baseline === null) {
+        this._samples.push(ms);
+        if (this._samples.length >= 10) {
+          this._baseline = this._samples.reduce((a, b) => a + b, 0) / this._samples.length;
+          this._avg = this._baseline;
         }
-        this._stats.skipped += toProcess.length;
         return;
       }
+      this._avg = this._avg * 0.8 + ms * 0.2;
+      if (this._avg > Math.max(this._baseline * 3, this._baseline + 1000)) {
+        this.slowDown(`responses slowed to ~${Math.round(this._avg)}ms`);
+        this._avg = this._baseline * 2;  // don't re-trigger on the same samples
+      }
+    },
 
-      // Process items one at a time (panel UI constraint)
-      for (let i = 0; i < toProcess.length; i++) {
-        if (!State.isRunning()) break;
-        await State.checkPause();
+    // Any sign of strain right now: running slowed down, a slowdown in the
+    // last 30s, or this toggle (`ms`) much slower than the baseline
+    strained(ms) {
+      if (!CONFIG.adaptive) return false;
+      if (this._factor < 1 || this._slow > 1 || Date.now() - this._lastSlowdown < 30000) return true;
+      return this._baseline !== null && ms > Math.max(this._baseline * 2, this._baseline + 500);
+    },
+
+    // Watch for error toasts while a run is going
+    watch() {
+      if (!CONFIG.adaptive || this._observer) return;
+      this._observer = new MutationObserver((mutations) => {
+        for (const m of mutations) {
+          for (const node of m.addedNodes) {
+            if (node.nodeType !== 1) continue;
+            const toast = node.matches('[role="alert"], [class*="toast" i]')
+              ? node
+              : node.querySelector('[role="alert"], [class*="toast" i]');
+            if (toast && Locale.mentions('errors', toast.textContent)) this.slowDown('error message shown');
+          }
+        }
+      });
+      this._observer.observe(document.body, { childList: true, subtree: true });
+    },
+
+    unwatch() {
+      this._observer?.disconnect();
+      this._observer = null;
+    },
+  };
+
+  // --------------------------------------------------------------------------
+  // Engine state — processed items and counters, shared by every toggle engine
+  // --------------------------------------------------------------------------
+  const EngineState = {
+    getStats() { return { ...this._stats }; },
+
+    reset() {
+      this._processedIds = new Set();
+      this._stats = { toggled: 0, skipped: 0, failed: 0, retried: 0 };
+    },
+
+    // Forget that items were processed so the next pass looks at them again
+    requeue(keys) {
+      for (const key of keys) this._processedIds.delete(key);
+    },
+
+    // Failures left after retrying (the failure queue owns the final count)
+    setFailed(n) { this._stats.failed = n; },
+
+    // Checkpoint support. Still-failing items are left out of the processed
+    // keys, so a resumed run tries them again.
+    snapshot() {
+      const failing = FailureQueue.itemKeys();
+      return { processed: Array.from(this._processedIds).filter((key) => !failing.has(key)), stats: this.getStats() };
+    },
+    restore({ processed, stats }) {
+      this._processedIds = new Set(processed);
+      this._stats = { ...this._stats, ...stats };
+    },
+  };
+
+  // --------------------------------------------------------------------------
+  // Toggle Engine — Child-Selected Mode (concurrent card clicks)
+  // --------------------------------------------------------------------------
+  const CardClickEngine = {
+    ...EngineState,
+    _processedIds: new Set(),
+    _stats: { toggled: 0, skipped: 0, failed: 0, retried: 0 },
+    _target: null,
+
+    // target = { name, directedId, mode } for the selected child
+    init(target) {
+      this._target = target;
+    },
+
+    _waitForToggle(sw, expectedChecked, timeoutMs = 3000) {
+      return new Promise((resolve) => {
+        const start = Date.now();
+        const check = () => {
+          if (sw.checked === expectedChecked) { resolve(true); return; }
+          if (Date.now() - start > timeoutMs) { resolve(false); return; }
+          setTimeout(check, 50);
+        };
+        setTimeout(check, 50);
+      });
+    },
+
+    async processBatch(items) {
+      const toProcess = items.filter((item) => {
+        return !this._processedIds.has(itemKey(item)) && Filter.shouldProcess(item, [this._target]);
+      });
+
+      if (toProcess.length === 0) return;
+
+      if (CONFIG.dryRun) {
+        for (const item of toProcess) {
+          Logger.verbose(`[DRY RUN] Would ${actionName(Filter.targetState(item, this._target))}: "${item.title}" (${item.contentType})`);
+          this._processedIds.add(itemKey(item));
+        }
+        this._stats.skipped += toProcess.length;
+        return;
+      }
+
+      for (let i = 0; i < toProcess.length;) {
+        if (!State.isRunning()) break;
+        await State.checkPause();
+
+        const size = Throttle.concurrency(CONFIG.clickConcurrency);
+        const chunk = toProcess.slice(i, i + size);
+        i += size;
+        const clickPromises = chunk.map(async (item) => {
+          try {
+            const cardEl = item._domCard;
+            if (!cardEl) {
+              Logger.verbose(`No card element for "${item.title}"`);
+              this._stats.failed++;
+              reportFailure(item, this._target, 'no card');
+              return;
+            }
+            // Without a switch there is no telling whether a click worked, or
+            // what a second click would undo, so the card isn't clicked at all
+            const sw = item._domSwitch || cardEl.querySelector('input[role="switch"]');
+            if (!sw) {
+              Logger.verbose(`No switch on the card for "${item.title}"`);
+              this._stats.failed++;
+              reportFailure(item, this._target, 'no switch');
+              return;
+            }
+            const expectChecked = Filter.targetState(item, this._target);
+            const started = Date.now();
+            cardEl.click();
+
+            let ok = await this._waitForToggle(sw, expectChecked);
+            const clickedTwice = !ok;
+            if (!ok) {
+              this._stats.retried++;
+              cardEl.click();
+              ok = await this._waitForToggle(sw, expectChecked, 3000);
+            }
+            if (!ok) {
+              this._stats.failed++;
+              reportFailure(item, this._target, 'switch did not flip');
+              Throttle.slowDown('switch did not flip');
+              return;
+            }
+            const latency = Date.now() - started;
+            Throttle.latency(latency);
+
+            // A rate-limited dashboard flips the switch, then quietly flips it back.
+            // Only worth waiting for once something already looks slow.
+            if (clickedTwice || Throttle.strained(latency)) {
+              await sleep(500);
+              if (sw.checked !== expectChecked) {
+                this._stats.failed++;
+                reportFailure(item, this._target, 'switch flipped back');
+                Throttle.slowDown('switch flipped back');
+                return;
+              }
+            }
+            this._stats.toggled++;
+            reportToggle(item, this._target, !expectChecked, expectChecked);
+            Throttle.ok();
+          } finally {
+            // Marked only once handled, so a checkpoint never skips an untouched item
+            this._processedIds.add(itemKey(item));
+          }
+        });
+
+        await Promise.all(clickPromises);
+        Checkpoint.save();
+        if (i < toProcess.length) {
+          await sleep(Throttle.delay(CONFIG.clickDelayMs));
+        }
+      }
+    },
+  };
+
+  // --------------------------------------------------------------------------
+  // Toggle Engine — No-Child-Selected Mode (sequential panel toggles)
+  // --------------------------------------------------------------------------
+  const PanelEngine = {
+    ...EngineState,
+    _processedIds: new Set(),
+    _stats: { toggled: 0, skipped: 0, failed: 0, retried: 0 },
+    _targets: [],
+
+    // targets = [{ name, directedId, mode }, ...] — every listed child is set in one panel visit
+    init(targets) {
+      this._targets = targets;
+    },
+
+    // Open the "Manage access" panel for an item
+    async _openPanel(accessBtn) {
+      accessBtn.click();
+      // Wait for the switch to appear in the dialog
+      const sw = await waitFor(
+        () => document.querySelector('[role="dialog"] input[role="switch"], .panda-site-sheet-container input[role="switch"]'),
+        3000, 100
+      );
+      return sw;
+    },
+
+    // Whether a piece of text in the panel row names the child as a whole word,
+    // so "Lily (5)" matches Lily but "Anna" doesn't match Ann
+    _rowHasName(row, childName) {
+      const name = childName.trim().toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const re = new RegExp(`(?<![\\p{L}\\p{N}])${name}(?![\\p{L}\\p{N}])`, 'u');
+      const walker = document.createTreeWalker(row, NodeFilter.SHOW_TEXT);
+      while (walker.nextNode()) {
+        if (re.test(walker.currentNode.nodeValue.toLowerCase())) return true;
+      }
+      return false;
+    },
+
+    // Find a child's switch in the panel by name. A named child that isn't in
+    // the panel never falls back to someone else's switch.
+    _findChildSwitch(childName) {
+      const container = document.querySelector('.panda-site-sheet-container') ||
+                        document.querySelector('[role="dialog"]');
+      if (!container) return null;
+
+      const switches = container.querySelectorAll('input[role="switch"]');
+      if (switches.length === 0) return null;
+
+      if (childName) {
+        for (const sw of switches) {
+          const row = sw.closest('label')?.parentElement;
+          if (row && this._rowHasName(row, childName)) return sw;
+        }
+        return null;
+      }
+
+      // No name to go by: only a panel with a single child is unambiguous
+      return switches.length === 1 ? switches[0] : null;
+    },
+
+    // Flip a panel switch to the wanted state; returns whether it took
+    async _setSwitch(childSw, wantChecked, title) {
+      const label = childSw.closest('label');
+      if (label) {
+        label.click();
+      } else {
+        childSw.click();
+      }
+      await sleep(100);
+
+      // Verify toggle
+      if (childSw.checked !== wantChecked) {
+        Logger.verbose(`Switch did not toggle for "${title}", retrying`);
+        this._stats.retried++;
+        (label || childSw).click();
+        await sleep(200);
+      }
+      return childSw.checked === wantChecked;
+    },
+
+    // The panel's Done / Cancel button, by its text only — never guessed by position
+    _panelButton(key) {
+      const scope = document.querySelector('.panda-site-sheet-container') ||
+                    document.querySelector('[role="dialog"]') || document;
+      return Array.from(scope.querySelectorAll('button')).find((b) => Locale.is(key, b.textContent)) ?? null;
+    },
+
+    // Click Done to confirm changes
+    async _clickDone() {
+      const doneBtn = await waitFor(() => this._panelButton('done'), 2000, 100);
+      if (doneBtn) {
+        doneBtn.click();
+        // Wait for panel to close / toast to appear
+        await sleep(300);
+        return true;
+      }
+      return false;
+    },
+
+    // Close the panel without saving
+    async _clickCancel() {
+      const cancelBtn = this._panelButton('cancel');
+      if (cancelBtn) {
+        cancelBtn.click();
+        await sleep(200);
+      }
+    },
+
+    async processItems(items) {
+      const toProcess = items.filter((item) => {
+        return !this._processedIds.has(itemKey(item)) && Filter.shouldProcess(item, this._targets);
+      });
+
+      if (toProcess.length === 0) return;
+
+      if (CONFIG.dryRun) {
+        for (const item of toProcess) {
+          for (const target of this._targets) {
+            const want = Filter.targetState(item, target);
+            if (want === null || want === Filter.currentState(item, target)) continue;
+            Logger.verbose(`[DRY RUN] Would ${actionName(want)}${target.name ? ` for ${target.name}` : ''}: "${item.title}" (${item.contentType})`);
+          }
+          this._processedIds.add(itemKey(item));
+        }
+        this._stats.skipped += toProcess.length;
+        return;
+      }
+
+      // Process items one at a time (panel UI constraint)
+      for (let i = 0; i < toProcess.length; i++) {
+        if (!State.isRunning()) break;
+        await State.checkPause();
 
         const item = toProcess[i];
-        const accessBtn = item._accessBtn;
-        if (!accessBtn) {
-          Logger.verbose(`No access button for "${item.title}"`);
-          this._stats.failed++;
-          continue;
+        try {
+          const accessBtn = item._accessBtn;
+          if (!accessBtn) {
+            Logger.verbose(`No access button for "${item.title}"`);
+            this._stats.failed++;
+            reportFailure(item, null, 'no access button');
+            continue;
+          }
+
+          // Scroll the button into view
+          accessBtn.scrollIntoView({ block: 'center', behavior: 'instant' });
+          await sleep(50);
+
+          // Open panel
+          const started = Date.now();
+          const sw = await this._openPanel(accessBtn);
+          if (!sw) {
+            Logger.verbose(`Panel did not open for "${item.title}"`);
+            this._stats.failed++;
+            reportFailure(item, null, 'panel did not open');
+            Throttle.slowDown('panel did not open');
+            continue;
+          }
+          Throttle.latency(Date.now() - started);
+
+          // Set each target child's switch
+          const changed = [];
+          const problems = [];
+          for (const target of this._targets) {
+            const who = target.name ? ` for ${target.name}` : '';
+            const childSw = this._findChildSwitch(target.name);
+            if (!childSw) {
+              Logger.verbose(`No child switch${who} found for "${item.title}"`);
+              problems.push({ target, reason: 'no child switch' });
+              continue;
+            }
+
+            // Check current state and toggle if needed
+            const wantChecked = Filter.targetState(item, target);
+            if (wantChecked === null || childSw.checked === wantChecked) {
+              // Already in desired state
+              if (wantChecked !== null) Logger.verbose(`"${item.title}" already ${actionName(wantChecked)}d${who}`);
+              continue;
+            }
+
+            if (await this._setSwitch(childSw, wantChecked, item.title)) {
+              changed.push({ target, next: wantChecked });
+              Logger.verbose(`${actionName(wantChecked)}d${who}: "${item.title}"`);
+            } else {
+              problems.push({ target, reason: 'switch did not flip' });
+            }
+          }
+
+          if (changed.length === 0) {
+            await this._clickCancel();
+            if (problems.length > 0) {
+              this._stats.failed++;
+            } else {
+              this._stats.skipped++;
+            }
+          } else {
+            // Click Done to save
+            const saved = await this._clickDone();
+            if (saved) {
+              this._stats.toggled++;
+              for (const c of changed) reportToggle(item, c.target, !c.next, c.next);
+              Throttle.ok();
+            } else {
+              Logger.verbose(`Failed to save "${item.title}"`);
+              this._stats.failed++;
+              for (const c of changed) reportFailure(item, c.target, 'Done button missing');
+            }
+          }
+          for (const p of problems) reportFailure(item, p.target, p.reason);
+          if (problems.some((p) => p.reason === 'switch did not flip')) Throttle.slowDown('switch did not flip');
+
+        } finally {
+          this._processedIds.add(itemKey(item));
+        }
+
+        Checkpoint.save();
+
+        // Brief pause between items to let the UI settle
+        await sleep(Throttle.delay(CONFIG.clickDelayMs));
+
+        // Log progress every 10 items
+        if ((i + 1) % 10 === 0) {
+          Logger.progress(this._stats, toProcess.length);
+        }
+      }
+    },
+  };
+
+  // --------------------------------------------------------------------------
+  // Request Recorder — captures the dashboard's own fetch / XHR writes
+  // --------------------------------------------------------------------------
+  const RequestRecorder = {
+    _originals: null,
+    _wrapped: null,
+    _captured: [],
+    _pending: [],
+
+    // Wrap fetch and XHR for the length of one recording; stop() puts the originals back
+    _install() {
+      if (this._originals) return;
+      const self = this;
+      const proto = XMLHttpRequest.prototype;
+      const orig = {
+        fetch: window.fetch,
+        open: proto.open,
+        setRequestHeader: proto.setRequestHeader,
+        send: proto.send,
+      };
+      this._originals = orig;
+
+      const fetchWrapper = function (input, init) {
+        const opts = init ?? {};
+        const isRequest = typeof Request !== 'undefined' && input instanceof Request;
+        const url = isRequest ? input.url : String(input);
+        const method = (opts.method || (isRequest ? input.method : 'GET')).toUpperCase();
+        const headers = {};
+        new Headers(opts.headers || (isRequest ? input.headers : {})).forEach((v, k) => { headers[k] = v; });
+        // A Request carries its own body; read a copy so the page's request still has it
+        const body = opts.body !== undefined || !isRequest ? opts.body : input.clone().text();
+        self._capture({ method, url, headers, body });
+        return orig.fetch.apply(this, arguments);
+      };
+      const open = function (method, url) {
+        this._akm = { method: String(method).toUpperCase(), url: String(url), headers: {} };
+        return orig.open.apply(this, arguments);
+      };
+      const setRequestHeader = function (name, value) {
+        if (this._akm) this._akm.headers[name.toLowerCase()] = value;
+        return orig.setRequestHeader.apply(this, arguments);
+      };
+      const send = function (body) {
+        if (this._akm) self._capture({ ...this._akm, body });
+        return orig.send.apply(this, arguments);
+      };
+      window.fetch = fetchWrapper;
+      Object.assign(proto, { open, setRequestHeader, send });
+      this._wrapped = { fetch: fetchWrapper, open, setRequestHeader, send };
+    },
+
+    // Put back whatever we replaced, unless someone has wrapped it since
+    _uninstall() {
+      const orig = this._originals;
+      const wrapped = this._wrapped;
+      if (!orig) return;
+      const proto = XMLHttpRequest.prototype;
+      if (window.fetch === wrapped.fetch) window.fetch = orig.fetch;
+      for (const k of ['open', 'setRequestHeader', 'send']) {
+        if (proto[k] === wrapped[k]) proto[k] = orig[k];
+      }
+      this._originals = null;
+      this._wrapped = null;
+    },
+
+    _capture(req) {
+      if (req.method === 'GET' || !req.url) return;
+      const record = (body) => {
+        if (body != null && typeof body !== 'string') return;  // only replayable text bodies
+        this._captured.push({ ...req, url: new URL(req.url, location.href).href, body: body ?? null });
+      };
+      if (req.body instanceof Promise) {
+        this._pending.push(req.body.then(record, () => {}));
+      } else {
+        record(req.body);
+      }
+    },
+
+    start() {
+      this._captured = [];
+      this._pending = [];
+      this._install();
+    },
+
+    async stop() {
+      this._uninstall();
+      await Promise.all(this._pending);
+      return this._captured;
+    },
+  };
+
+  // --------------------------------------------------------------------------
+  // Toggle Engine — direct API requests (any view, no panel per item)
+  // --------------------------------------------------------------------------
+  const ApiEngine = {
+    ...EngineState,
+    _processedIds: new Set(),
+    _stats: { toggled: 0, skipped: 0, failed: 0, retried: 0 },
+    _targets: [],
+    _uiEngine: null,
+    _templates: {},   // want (true/false) → { method, url, headers, body }
+    _learnFailed: false,
+
+    // uiEngine makes the learning toggles and takes over if learning fails
+    init(targets, uiEngine) {
+      this._targets = targets;
+      this._uiEngine = uiEngine;
+      this._learnFailed = false;
+      this._templates = {};
+    },
+
+    _fill(template, job) {
+      const values = {
+        itemId: job.item.itemId,
+        childId: job.target.directedId,
+        state: job.want ? 'AVAILABLE' : 'UNAVAILABLE',
+        enabled: String(job.want),
+      };
+      const sub = (str) => (str == null ? str : str.replace(/\{\{(\w+)\}\}/g, (m, k) => values[k] ?? m));
+      return { method: template.method, url: sub(template.url), headers: template.headers || {}, body: sub(template.body) };
+    },
+
+    _template(want) {
+      return CONFIG.apiTemplate ?? this._templates[want] ?? null;
+    },
+
+    // Make one toggle through the page and turn the request it sends into a template
+    async _learn(job) {
+      const ui = this._uiEngine;
+      const before = ui.getStats();
+      RequestRecorder.start();
+      await processWith(ui, [job.item]);
+      await sleep(500);  // let the request leave
+      const captured = await RequestRecorder.stop();
+
+      // Fold the UI engine's result into ours
+      const after = ui.getStats();
+      for (const k of Object.keys(this._stats)) this._stats[k] += after[k] - before[k];
+
+      // The request naming this item — and this child, when the panel sent one per child
+      const { itemId } = job.item;
+      const childId = job.target.directedId;
+      const mentions = (r, id) => r.url.includes(id) || (r.body || '').includes(id);
+      const forItem = captured.filter((r) => mentions(r, itemId));
+      const req = (childId && forItem.find((r) => mentions(r, childId))) || forItem[0];
+      if (!req) return false;
+
+      // A request naming other children too (a whole access map) can't be replayed for one child
+      const otherIds = [...ItemSource.getChildren().map((c) => c.directedId), ...this._targets.map((t) => t.directedId)]
+        .filter((id) => id && id !== childId);
+      if (otherIds.some((id) => mentions(req, id))) {
+        Logger.info('The dashboard\'s access request names several children — it can\'t be replayed for one');
+        return false;
+      }
+      const generalize = (str) => {
+        if (str == null) return str;
+        const out = str.split(itemId).join('{{itemId}}');
+        return childId ? out.split(childId).join('{{childId}}') : out;
+      };
+      this._templates[job.want] = { method: req.method, url: generalize(req.url), headers: req.headers, body: generalize(req.body) };
+      Logger.info(`Learned ${actionName(job.want)} request: ${req.method} ${req.url.split('?')[0]}`);
+      return true;
+    },
+
+    // Why a 2xx response still isn't a success, or null: a sign-in page, or a
+    // JSON body that reports an error
+    async _responseProblem(res) {
+      if (res.redirected && /signin|sign-in|\/ap\//i.test(res.url)) return 'redirected to sign-in (session expired?)';
+      if (!/json/i.test(res.headers?.get('content-type') || '')) return null;
+      let data;
+      try {
+        data = await res.json();
+      } catch (e) {
+        return `unreadable JSON (${e.message})`;
+      }
+      if (!data || typeof data !== 'object') return null;
+      if (data.success === false || data.ok === false) return 'response says it failed';
+      if (data.error) return `error: ${typeof data.error === 'string' ? data.error : JSON.stringify(data.error)}`;
+      if (Array.isArray(data.errors) && data.errors.length > 0) return `errors: ${JSON.stringify(data.errors).slice(0, 200)}`;
+      return null;
+    },
+
+    async _send(job) {
+      const req = this._fill(this._template(job.want), job);
+      const started = Date.now();
+      try {
+        const res = await fetch(req.url, {
+          method: req.method,
+          headers: req.headers,
+          body: req.body,
+          credentials: 'include',
+        });
+        if (!res.ok) {
+          Logger.verbose(`HTTP ${res.status} for "${job.item.title}"`);
+          if (res.status === 429 || res.status >= 500) Throttle.slowDown(`HTTP ${res.status}`);
+          return false;
+        }
+        const problem = await this._responseProblem(res);
+        if (problem) {
+          Logger.verbose(`Request for "${job.item.title}" was not accepted — ${problem}`);
+          return false;
+        }
+        Throttle.latency(Date.now() - started);
+        Throttle.ok();
+        return true;
+      } catch (e) {
+        Logger.verbose(`Request failed for "${job.item.title}" — ${e.message}`);
+        return false;
+      }
+    },
+
+    async processItems(items) {
+      const toProcess = items.filter((item) => {
+        return !this._processedIds.has(itemKey(item)) && Filter.shouldProcess(item, this._targets);
+      });
+
+      if (toProcess.length === 0) return;
+
+      // One job per item per child that needs changing
+      const jobs = [];
+      for (const item of toProcess) {
+        for (const target of this._targets) {
+          const want = Filter.targetState(item, target);
+          if (want !== null && want !== Filter.currentState(item, target)) jobs.push({ item, target, want });
+        }
+      }
+
+      if (CONFIG.dryRun) {
+        for (const job of jobs) {
+          Logger.verbose(`[DRY RUN] Would ${actionName(job.want)}${job.target.name ? ` for ${job.target.name}` : ''}: "${job.item.title}" (${job.item.contentType})`);
+        }
+        for (const item of toProcess) this._processedIds.add(itemKey(item));
+        this._stats.skipped += toProcess.length;
+        return;
+      }
+
+      // Learn a request for each direction we need, one page toggle each
+      const learned = new Set();
+      for (const want of [true, false]) {
+        if (this._learnFailed || this._template(want)) continue;
+        const job = jobs.find((j) => j.want === want);
+        if (!job) continue;
+        learned.add(job.item);
+        if (!await this._learn(job)) {
+          Logger.info('Could not learn the dashboard\'s access request — falling back to page clicks');
+          this._learnFailed = true;
         }
+      }
+
+      for (const item of learned) this._processedIds.add(itemKey(item));
+
+      const pending = jobs.filter((j) => !learned.has(j.item));
+      if (this._learnFailed) {
+        const rest = toProcess.filter((item) => !learned.has(item));
+        const before = this._uiEngine.getStats();
+        await processWith(this._uiEngine, rest);
+        const after = this._uiEngine.getStats();
+        for (const k of Object.keys(this._stats)) this._stats[k] += after[k] - before[k];
+        if (State.isRunning()) for (const item of rest) this._processedIds.add(itemKey(item));
+        return;
+      }
+
+      // An item is done once every child's request for it has finished
+      const open = new Map();
+      for (const job of pending) open.set(job.item, (open.get(job.item) ?? 0) + 1);
+
+      // Send in bounded-concurrency batches
+      for (let i = 0; i < pending.length;) {
+        if (!State.isRunning()) break;
+        await State.checkPause();
+
+        const size = Throttle.concurrency(Math.max(1, CONFIG.apiConcurrency));
+        const chunk = pending.slice(i, i + size);
+        i += size;
+        await Promise.all(chunk.map(async (job) => {
+          // Failed requests wait for the retry pass, which honours maxRetries
+          const ok = await this._send(job);
+          if (ok) {
+            this._stats.toggled++;
+            reportToggle(job.item, job.target, !job.want, job.want);
+            Logger.verbose(`${actionName(job.want)}d${job.target.name ? ` for ${job.target.name}` : ''}: "${job.item.title}"`);
+          } else {
+            this._stats.failed++;
+            reportFailure(job.item, job.target, 'request failed');
+          }
+          open.set(job.item, open.get(job.item) - 1);
+          if (open.get(job.item) === 0) this._processedIds.add(itemKey(job.item));
+        }));
+        Checkpoint.save();
+
+        if (i < pending.length) await sleep(Throttle.delay(CONFIG.clickDelayMs));
+      }
+    },
+
+    // The UI engine that learned the requests has to look at the items again too
+    requeue(keys) {
+      EngineState.requeue.call(this, keys);
+      this._uiEngine?.requeue(keys);
+    },
+  };
+
+  // --------------------------------------------------------------------------
+  // Wait for new items to appear after a page load
+  // --------------------------------------------------------------------------
+  function waitForNewItems(getCount, previousCount, timeoutMs = 15000) {
+    return new Promise((resolve) => {
+      const start = Date.now();
+      const check = () => {
+        if (!State.isRunning() && !State.isPaused()) { resolve(); return; }
+        if (getCount() > previousCount) { resolve(); return; }
+        if (Date.now() - start > timeoutMs) {
+          Logger.info('Timeout waiting for new items — continuing');
+          Throttle.slowDown('page load timeout');
+          resolve();
+          return;
+        }
+        setTimeout(check, 150);
+      };
+      setTimeout(check, 150);
+    });
+  }
+
+  // --------------------------------------------------------------------------
+  // Navigator — move between the no-child-selected view and each child's view
+  // --------------------------------------------------------------------------
+  const Navigator = {
+    // Clickable page controls outside the catalog and panels
+    _controls() {
+      return Array.from(document.querySelectorAll('button, a[href], [role="button"], [role="tab"], [role="link"]'))
+        .filter((el) => !el.closest('[class*="content-card"], [role="dialog"], .panda-site-sheet-container'));
+    },
+
+    _text(el) {
+      return [el.getAttribute('aria-label'), el.getAttribute('title'), el.textContent, el.querySelector('img')?.alt]
+        .filter(Boolean).join(' ').replace(/\s+/g, ' ').trim();
+    },
+
+    _selectedId() {
+      if (!FiberUtil.init()) return null;
+      return FiberUtil.findPageComponent()?.memoizedProps.basePageData?.selectedChild?.directedId ?? null;
+    },
+
+    // The control that opens a child's view: the shortest one naming the child
+    _childControl(child) {
+      const name = child.firstName.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const re = new RegExp(`(?<![\\p{L}])${name}(?![\\p{L}])`, 'u');
+      return this._controls()
+        .filter((el) => re.test(this._text(el).toLowerCase()))
+        .sort((x, y) => this._text(x).length - this._text(y).length)[0] ?? null;
+    },
+
+    async _arrive(check, what) {
+      const ok = await waitFor(() => !!detectPageMode() && check(), 15000, 300);
+      if (!ok) {
+        Logger.info(`WARNING: Could not switch to ${what}`);
+        return false;
+      }
+      await sleep(Throttle.delay(CONFIG.pageDelayMs) + 500);
+      ItemSource.init();
+      Logger.info(`Switched to ${what}`);
+      return true;
+    },
+
+    async toNoChild() {
+      if (detectPageMode() === 'no-child-selected') return true;
+      // Named exactly "Back" (by aria-label or text), so "Back to top" never matches
+      const back = this._controls().find((el) =>
+        Locale.is('back', el.getAttribute('aria-label')) || Locale.is('back', el.textContent));
+      if (!back) {
+        Logger.info('WARNING: No back button found — deselect the child by hand');
+        return false;
+      }
+      back.click();
+      return this._arrive(() => detectPageMode() === 'no-child-selected', 'the no-child-selected view');
+    },
+
+    async toChild(child) {
+      const mode = detectPageMode();
+      if (mode === 'child-selected' && this._selectedId() === child.directedId) return true;
+      let control = this._childControl(child);
+      if (!control && mode === 'child-selected') {
+        if (!(await this.toNoChild())) return false;
+        control = this._childControl(child);
+      }
+      if (!control) {
+        Logger.info(`WARNING: Nothing on the page opens ${child.firstName}'s view — select the child by hand`);
+        return false;
+      }
+      control.click();
+      return this._arrive(() => detectPageMode() === 'child-selected' &&
+        (!ItemSource.hasFiber() || this._selectedId() === child.directedId), `${child.firstName}'s view`);
+    },
+
+    // The view this run works best in: each child's own view for a one-child disable
+    // (fast card clicks); the no-child-selected view for everything else that changes or reads access.
+    // Returns false when the page is left in a view the run can't safely use.
+    async ensureView() {
+      const mode = CONFIG.mode;
+      if (mode === 'doctor') return true;
+      await waitFor(() => detectPageMode(), 10000, 300);
+
+      const oneChild = typeof CONFIG.childName === 'string' && !CONFIG.childModes && !CONFIG.allChildren;
+      if (mode === 'disable' && CONFIG.engine !== 'api' && oneChild) {
+        const child = ItemSource.findChild(CONFIG.childName);
+        if (child) return this.toChild(child);
+        // Without the child's view, another child's may be open; only the no-child view is safe
+        return detectPageMode() !== 'child-selected' || this.toNoChild();
+      }
+      if (mode !== 'disable' || CONFIG.childModes || Array.isArray(CONFIG.childName) || CONFIG.allChildren) {
+        return this.toNoChild();
+      }
+      return true;
+    },
+  };
+
+  // --------------------------------------------------------------------------
+  // Page preparation — widen the age range and clear filters, restore afterwards
+  // --------------------------------------------------------------------------
+  const PagePrep = {
+    _changes: [],   // [{ what, restore() }], undone in reverse order
+
+    _range(val) {
+      const min = val?.min ?? val?.minAge ?? val?.start ?? val?.from;
+      const max = val?.max ?? val?.maxAge ?? val?.end ?? val?.to;
+      return typeof min === 'number' && typeof max === 'number' ? { min, max } : null;
+    },
+
+    // Prop names the page uses, matched exactly: the selected age range, the
+    // ranges on offer, and filter selections. Option lists (availableFilters,
+    // filterOptions, ...) are never cleared.
+    _ageKeys: ['ageRange', 'selectedAgeRange', 'currentAgeRange'],
+    _ageOptionKeys: ['ageRanges', 'ageRangeOptions', 'availableAgeRanges'],
+    _filterKeys: ['selectedFilters', 'activeFilters', 'appliedFilters'],
+
+    // Age range, the ranges on offer, and active filters as the page component's
+    // props describe them. Each keeps where it lives ({ owner, key }) so it can be set.
+    readProps() {
+      const pc = ItemSource.hasFiber() ? FiberUtil.findPageComponent() : null;
+      if (!pc) return null;
+      const found = { ageRange: null, ageOptions: [], filters: [] };
+      const walk = (obj, path, depth) => {
+        if (!obj || typeof obj !== 'object' || depth > 3) return;
+        for (const [key, val] of Object.entries(obj)) {
+          if (key === 'items' || key === 'children' || key.startsWith('_') || typeof val === 'function') continue;
+          const at = path ? `${path}.${key}` : key;
+          if (this._ageOptionKeys.includes(key)) {
+            if (Array.isArray(val)) found.ageOptions.push(...val.filter((v) => this._range(v)));
+          } else if (this._ageKeys.includes(key)) {
+            if (this._range(val)) found.ageRange ??= { path: at, ...this._range(val), value: val, owner: obj, key };
+          } else if (this._filterKeys.includes(key)) {
+            if ((Array.isArray(val) && val.length > 0) || val === true) found.filters.push({ path: at, value: val, owner: obj, key });
+          } else if (!Array.isArray(val)) {
+            walk(val, at, depth + 1);
+          }
+        }
+      };
+      walk(pc.memoizedProps, '', 0);
+      return found;
+    },
+
+    // The setting at a props path, active or not
+    _at(path) {
+      const pc = ItemSource.hasFiber() ? FiberUtil.findPageComponent() : null;
+      const keys = path.split('.');
+      const key = keys.pop();
+      const owner = keys.reduce((obj, k) => obj?.[k], pc?.memoizedProps);
+      return owner && typeof owner === 'object' && key in owner ? { path, value: owner[key], owner, key } : null;
+    },
+
+    // How the page itself changes a setting: the hook state holding it (on the
+    // page component or a parent), or a setter prop beside it (setAgeRange,
+    // onFiltersChange, ...). null when there is none — nothing is clicked instead.
+    _setter(setting) {
+      const pc = FiberUtil.findPageComponent();
+      for (let fiber = pc, depth = 0; fiber && depth < 10; fiber = fiber.return, depth++) {
+        for (let hook = fiber.memoizedState; hook && typeof hook === 'object' && 'next' in hook; hook = hook.next) {
+          const dispatch = hook.queue?.dispatch;
+          if (typeof dispatch !== 'function' || !hook.memoizedState) continue;
+          // true or an empty list could be any hook's state, so only an object itself identifies one
+          if (typeof setting.value === 'object' && hook.memoizedState === setting.value) return dispatch;
+          if (hook.memoizedState === setting.owner) return (value) => dispatch((state) => ({ ...state, [setting.key]: value }));
+        }
+      }
+      const stem = setting.key.toLowerCase().replace(/s$/, '');
+      const name = Object.keys(setting.owner).find((k) => typeof setting.owner[k] === 'function' &&
+        /^(set|on|update|change)/i.test(k) && k.toLowerCase().includes(stem));
+      return name ? (value) => setting.owner[name](value) : null;
+    },
+
+    _describeAge(range) {
+      return `${range.min}–${range.max}`;
+    },
+
+    async _settle() {
+      await sleep(300);
+      await waitFor(() => !ItemSource.getPagination().isLoading && detectPageMode(), 10000, 200);
+      await sleep(Throttle.delay(CONFIG.pageDelayMs) + 500);
+    },
+
+    // Set the lowest age range and clear filters through the page's own state.
+    // Returns false, before touching anything, when a setting or its setter can't
+    // be found, or when something still filters the catalog afterwards.
+    // Changes add up across calls (one per view) until restore().
+    async prepare() {
+      const fail = (problems) => {
+        Logger.info('ERROR: The catalog may be filtered, so some items would be missed:');
+        for (const p of problems) Logger.info(`  ${p}`);
+        Logger.info('Set the age range to its lowest value and clear all filters by hand, then run again with preparePage: false');
+        return false;
+      };
+
+      const props = this.readProps();
+      if (!props) return fail(['the page\'s age range and filters can\'t be read without React Fiber access']);
+
+      const problems = [];
+      const changes = [];   // [{ what, note, setting, set, to }]
+      const lowest = props.ageOptions
+        .map((option) => ({ option, ...this._range(option) }))
+        .sort((x, y) => x.min - y.min || x.max - y.max)[0];
+      if (!props.ageRange) {
+        problems.push('no age range found on the page');
+      } else if (!lowest) {
+        problems.push(`the age ranges on offer weren't found, so the lowest is unknown (now ${this._describeAge(props.ageRange)})`);
+      } else if (lowest.min !== props.ageRange.min || lowest.max !== props.ageRange.max) {
+        const set = this._setter(props.ageRange);
+        if (set) {
+          changes.push({ what: 'age range', note: `Set the age range from ${this._describeAge(props.ageRange)} to ${this._describeAge(lowest)}`,
+            setting: props.ageRange, set, to: lowest.option });
+        } else {
+          problems.push(`no way to change the age range (${props.ageRange.path})`);
+        }
+      }
+      for (const filter of props.filters) {
+        const set = this._setter(filter);
+        if (set) changes.push({ what: `filter ${filter.path}`, note: `Cleared filter ${filter.path}`, setting: filter, set, to: Array.isArray(filter.value) ? [] : false });
+        else problems.push(`no way to clear the filter ${filter.path}`);
+      }
+      if (problems.length > 0) return fail(problems);
+
+      for (const change of changes) {
+        const { path, value: original } = change.setting;
+        change.set(change.to);
+        Logger.info(change.note);
+        this._changes.push({
+          what: change.what,
+          restore: () => {
+            const now = this._at(path);
+            const set = now && this._setter(now);
+            if (set) set(original);
+            return !!set;
+          },
+        });
+      }
+      if (changes.length > 0) await this._settle();
+
+      // Check what is left
+      const after = this.readProps();
+      const left = (after?.filters ?? []).map((f) => `filter ${f.path} is still on`);
+      if (after?.ageRange && (after.ageRange.min !== lowest.min || after.ageRange.max !== lowest.max)) {
+        left.push(`the age range is ${this._describeAge(after.ageRange)}`);
+      }
+      if (left.length > 0) return fail(left);
+      Logger.verbose(`Catalog is unfiltered (age range ${this._describeAge(lowest)})`);
+      return true;
+    },
+
+    // Put back whatever prepare() changed
+    async restore() {
+      if (this._changes.length === 0) return;
+      const changes = this._changes.reverse();
+      this._changes = [];
+      for (const change of changes) {
+        if (!change.restore()) Logger.info(`WARNING: Could not restore "${change.what}" — set it back by hand`);
+      }
+      await this._settle();
+      Logger.info('Restored the age range and filters');
+    },
+  };
+
+  // --------------------------------------------------------------------------
+  // Run info — what the current (or last) run is doing, for window.AKM.status()
+  // --------------------------------------------------------------------------
+  const RunInfo = {
+    mode: null,
+    pageMode: null,
+    engine: null,
+    page: 0,
+    stopped: false,
+    error: null,
+    verification: null,
+    report: null,
+    comparison: null,
+    watching: false,
+    toggledFor: {},   // child name → toggles this run
+    children: null,   // per-child results, when a run covers several children
+
+    reset() {
+      Object.assign(this, {
+        mode: CONFIG.mode, pageMode: null, engine: null, page: 0, stopped: false, error: null, verification: null, report: null,
+        comparison: null, watching: false, toggledFor: {}, children: null, plan: null,
+      });
+    },
+
+    // Print and keep one row per child
+    reportChildren(rows) {
+      this.children = rows;
+      Logger.info('Per child:');
+      Logger.table(rows);
+    },
+  };
+
+  // Hand items to whichever engine is running
+  function processWith(engine, items) {
+    return engine === CardClickEngine ? engine.processBatch(items) : engine.processItems(items);
+  }
+
+  // --------------------------------------------------------------------------
+  // Retry pass — give failed items up to maxRetries more tries, with backoff
+  // --------------------------------------------------------------------------
+  async function retryFailures(isChildSelected, engine) {
+    const read = () => (isChildSelected ? ItemSource.getItemsChildSelected() : ItemSource.getItemsNoChild());
+
+    for (let attempt = 1; attempt <= CONFIG.maxRetries && FailureQueue.size() > 0; attempt++) {
+      if (!State.isRunning() || CONFIG.dryRun) break;
+      const delay = Math.min(30000, 1000 * 2 ** (attempt - 1));
+      Logger.info(`Retry ${attempt}/${CONFIG.maxRetries}: ${FailureQueue.itemKeys().size} failed items in ${delay / 1000}s`);
+      await sleep(delay);
+      await State.checkPause();
+
+      const wanted = FailureQueue.itemKeys();
+      const items = read().filter((item) => wanted.has(itemKey(item)));
+      if (items.length === 0) break;
+      const keys = new Set(items.map(itemKey));
+      const attempts = new Map(FailureQueue.entries().map(([id, e]) => [id, e.attempts]));
+
+      engine.requeue(keys);
+      const before = engine.getStats().toggled;
+      await processWith(engine, items);
+      Journal.flush();
+      // Items that no longer need changing (or now succeeded) leave the queue
+      FailureQueue.settle(keys, attempts);
+      Logger.info(`Retry ${attempt}: ${engine.getStats().toggled - before} fixed, ${FailureQueue.itemKeys().size} still failing`);
+    }
+
+    engine.setFailed(FailureQueue.itemKeys().size);
+  }
+
+  // Table of items that still failed after every retry
+  function reportPermanentFailures() {
+    const rows = FailureQueue.entries().map(([, e]) => ({
+      title: e.item.title,
+      itemId: e.item.itemId ?? '',
+      child: e.target?.name ?? '',
+      reason: e.reason,
+      attempts: e.attempts,
+    }));
+    if (rows.length === 0) return;
+    Logger.info(`${rows.length} items still need manual attention:`);
+    Logger.table(rows);
+  }
+
+  // --------------------------------------------------------------------------
+  // Verification pass — re-read toggled items after the run
+  // --------------------------------------------------------------------------
+  async function verifyRun(isChildSelected, engine) {
+    if (CONFIG.dryRun || !CONFIG.verify || RunInfo.stopped || Verifier.size() === 0) return;
+    const read = () => (isChildSelected ? ItemSource.getItemsChildSelected() : ItemSource.getItemsNoChild());
+    // Re-fetch through the page first; what it drew after each click (or, for
+    // engine 'api', never drew) says nothing about what the server kept
+    const check = async () => {
+      await sleep(1500);  // let the dashboard apply the last saves
+      const fresh = await ItemSource.refresh();
+      if (fresh.keys.size === 0 && !fresh.complete) {
+        Logger.info('WARNING: The page could not fetch its items again — reload it and run mode \'export\' to check the result');
+      }
+      return Verifier.check(read(), fresh, isChildSelected);
+    };
+
+    Logger.info(`Verifying ${Verifier.size()} changes...`);
+    let result = await check();
+
+    if (result.mismatched.length > 0 && CONFIG.verify === 'fix') {
+      Logger.info(`${result.mismatched.length} changes did not stick — retrying them`);
+      const keys = new Set(result.mismatched.map((m) => m.key));
+      engine.requeue(keys);
+      State.start();
+      await processWith(engine, read().filter((item) => keys.has(itemKey(item))));
+      State.stop();
+      Journal.flush();
+      result = await check();
+    }
+
+    RunInfo.verification = { verified: result.verified, mismatched: result.mismatched.length, unverifiable: result.unverifiable };
+    Logger.info(`Verified: ${result.verified} | Mismatched: ${result.mismatched.length}` +
+      (result.unverifiable ? ` | Could not check: ${result.unverifiable}` : ''));
+    for (const m of result.mismatched) {
+      RunReport.mismatched(m);
+      Logger.info(`  NOT ${actionName(m.next).toUpperCase()}D${m.target?.name ? ` for ${m.target.name}` : ''}: "${m.item.title}"`);
+    }
+  }
+
+  // --------------------------------------------------------------------------
+  // Pagination — walk every page, handing the loaded items to onPage
+  // --------------------------------------------------------------------------
+  // onPage receives only the items added since the previous page, plus the
+  // total loaded so far. The item before the offset is re-read to confirm the
+  // list only grew; if the dashboard re-sorted or dropped items, the whole list
+  // is passed again and the engines skip what they already processed.
+  async function forEachPage(isChildSelected, onPage) {
+    const getItems = (from) => (isChildSelected
+      ? ItemSource.getItemsChildSelected(from)
+      : ItemSource.getItemsNoChild(from));
+    const getCount = () => ItemSource.count(isChildSelected);
+
+    let offset = 0;
+    let lastKey = null;
+    const readNew = () => {
+      let items = getItems(Math.max(0, offset - 1));
+      if (offset > 0) {
+        if (items.length > 0 && itemKey(items[0]) === lastKey) {
+          items = items.slice(1);
+        } else {
+          Logger.verbose('Item list changed between pages — rescanning from the top');
+          offset = 0;
+          items = getItems(0);
+        }
+      }
+      offset += items.length;
+      if (items.length > 0) lastKey = itemKey(items[items.length - 1]);
+      return items;
+    };
+
+    let pageNum = 0;
+
+    // Process current items, then load next page
+    while (State.isRunning()) {
+      await State.checkPause();
+      pageNum++;
+
+      const items = readNew();
+      RunInfo.page = pageNum;
+      Logger.info(`Page ${pageNum}: ${items.length} new items (${offset} loaded)`);
+      Events.emit('pageLoaded', { page: pageNum, count: offset, added: items.length });
+      await onPage(items, pageNum, offset);
+      Checkpoint.setPage(pageNum);
+
+      // Check pagination
+      const pagination = ItemSource.getPagination();
+
+      if (pagination.isLastPage) {
+        Logger.info('Reached last page');
+        break;
+      }
+
+      // The page says there's more, but the button's wording wasn't recognized
+      if (!pagination.loadMore) {
+        Logger.info(`WARNING: The page has more items but no "Show more" button in locale '${Locale.code()}' — stopping here. Set \`locale\` if the language is wrong.`);
+        break;
+      }
+
+      if (pagination.isLoading) {
+        Logger.verbose('Waiting for current page load to finish...');
+        await sleep(1000);
+        continue;
+      }
+
+      // Load next page
+      Logger.verbose('Loading next page...');
+      pagination.loadMore();
+
+      await waitForNewItems(getCount, offset);
+      await sleep(Throttle.delay(CONFIG.pageDelayMs));
+    }
+
+    // Final pass — catch any stragglers
+    if (State.isRunning()) {
+      const items = readNew();
+      if (items.length > 0) await onPage(items, pageNum, offset);
+    }
+  }
+
+  // --------------------------------------------------------------------------
+  // Plan — every change a run would make, reviewed before any is made
+  // --------------------------------------------------------------------------
+  const Plan = {
+    _items: new Map(),  // itemKey → { type, title, itemId, changes, wants: { child → next } }
+    _release: null,
+    // Once confirmed, the plan is the policy: only its (item, child) pairs change
+    active: false,
+
+    reset() {
+      this._items = new Map();
+      this.active = false;
+    },
+
+    _child(target) { return target?.directedId ?? target?.name ?? ''; },
+
+    add(item, targets) {
+      const changes = targets
+        .map((t) => ({ t, want: Filter.targetState(item, t) }))
+        .filter(({ t, want }) => want !== null && want !== Filter.currentState(item, t));
+      this._items.set(itemKey(item), {
+        type: item.contentType,
+        title: item.title,
+        itemId: item.itemId ?? '',
+        changes: changes.map(({ t, want }) => `${actionName(want)}${t?.name ? ` for ${t.name}` : ''}`).join(', '),
+        wants: Object.fromEntries(changes.map(({ t, want }) => [this._child(t), want])),
+      });
+    },
+
+    has(item) { return this._items.has(itemKey(item)); },
+    size() { return this._items.size; },
+
+    // Planned state of an item for a child, or null when the plan leaves it alone
+    want(item, target) {
+      return this._items.get(itemKey(item))?.wants[this._child(target)] ?? null;
+    },
+
+    // For the checkpoint, so a resumed run carries on with the same plan
+    snapshot() { return Array.from(this._items); },
+
+    restore(entries) {
+      this._items = new Map(entries);
+      this.active = true;
+    },
+
+    // One table per content type
+    show() {
+      const byType = new Map();
+      for (const row of this._items.values()) {
+        if (!byType.has(row.type)) byType.set(row.type, []);
+        byType.get(row.type).push(row);
+      }
+      Logger.info(`Plan: ${this._items.size} items to change`);
+      for (const [type, rows] of Array.from(byType).sort(([a], [b]) => String(a).localeCompare(String(b)))) {
+        Logger.info(`${type}: ${rows.length}`);
+        Logger.table(rows.map(({ title, itemId, changes }) => ({ title, itemId, changes })));
+      }
+    },
+
+    // Resolves true to go ahead, false to cancel
+    confirm() {
+      const summary = `Make ${this._items.size} changes? The full list is in the console.`;
+      if (CONFIG.confirmPlan !== 'go') return Promise.resolve(window.confirm(summary));
+      Logger.info('Run AKM.go() to make these changes, or AKM.stop() to cancel');
+      return new Promise((resolve) => { this._release = resolve; });
+    },
+
+    // Answer a pending AKM.go() confirmation; false if nothing was waiting
+    answer(ok) {
+      if (!this._release) return false;
+      this._release(ok);
+      this._release = null;
+      return true;
+    },
+  };
+
+  // Load every page without changing anything and collect what would change.
+  // Returns false when the run shouldn't go on.
+  async function buildPlan(isChildSelected, targets) {
+    Logger.info('Building the plan — loading every page, changing nothing yet');
+    Plan.reset();
+    await forEachPage(isChildSelected, (items) => {
+      RunReport.consider(items, targets);
+      for (const item of items) {
+        if (Filter.shouldProcess(item, targets)) Plan.add(item, targets);
+      }
+    });
+    if (!State.isRunning()) return false;
+
+    RunInfo.plan = { items: Plan.size(), confirmed: false };
+    if (Plan.size() === 0) {
+      Logger.info('Plan is empty — nothing to change');
+      return false;
+    }
+    Plan.show();
+    if (CONFIG.dryRun) {
+      Logger.info('Dry run — plan only, nothing changed');
+      return false;
+    }
+    Events.emit('planReady', { ...RunInfo.plan });
+    const ok = await Plan.confirm();
+    if (!ok || !State.isRunning()) {
+      Logger.info('Plan cancelled — nothing changed');
+      return false;
+    }
+    RunInfo.plan.confirmed = true;
+    return true;
+  }
+
+  // Make the confirmed changes, and only those: each planned item for the
+  // children it was planned for. Items that appeared since planning are left alone.
+  // Pages are loaded as needed, so a resumed run finds its planned items again.
+  async function applyPlan(isChildSelected, engine) {
+    const found = new Set();
+    const chunkSize = 50;
+    await forEachPage(isChildSelected, async (items) => {
+      const planned = items.filter((item) => Plan.has(item));
+      for (const item of planned) found.add(itemKey(item));
+      for (let i = 0; i < planned.length && State.isRunning(); i += chunkSize) {
+        await State.checkPause();
+        await processWith(engine, planned.slice(i, i + chunkSize));
+        Logger.progress(engine.getStats(), Plan.size());
+      }
+    });
+    if (State.isRunning() && found.size < Plan.size()) {
+      Logger.info(`WARNING: ${Plan.size() - found.size} planned items are no longer on the page`);
+    }
+  }
+
+  // --------------------------------------------------------------------------
+  // Watch mode — keep applying the policy to items that appear or get re-enabled
+  // --------------------------------------------------------------------------
+  async function runWatch(isChildSelected, engine, targets) {
+    const read = () => (isChildSelected ? ItemSource.getItemsChildSelected() : ItemSource.getItemsNoChild());
+    const getCount = isChildSelected
+      ? () => document.querySelectorAll('input[role="switch"]').length
+      : () => document.querySelectorAll('.allowlist-count').length;
+    const perMinute = Math.max(1, CONFIG.watchMaxPerMinute);
+    const attempts = new Map();   // key → tries without the item reaching its target state
+    let budget = perMinute;        // token bucket, refilled continuously
+    let refilledAt = Date.now();
+    let dirty = true;
+    let refreshedAt = Date.now();
+    let canRefresh = true;
+
+    // Page changes wake the loop early; each interval the page re-fetches its items,
+    // since changes made elsewhere (another device, the Kids app) only show up that way
+    const observer = new MutationObserver(() => { dirty = true; });
+    observer.observe(document.body, { childList: true, subtree: true, attributes: true, attributeFilter: ['aria-checked', 'aria-label'] });
+
+    State.start();
+    RunInfo.watching = true;
+    Throttle.watch();
+    Events.emit('watchStarted', { intervalMs: CONFIG.watchIntervalMs, maxPerMinute: perMinute });
+    Logger.info(`Watching for new or re-enabled items (checking every ${Math.round(CONFIG.watchIntervalMs / 1000)}s, ` +
+      `at most ${perMinute} changes a minute) — press Stop to end`);
+
+    try {
+      while (State.isRunning() || State.isPaused()) {
+        const wokeAt = Date.now();
+        while (!dirty && State.isRunning() && Date.now() - wokeAt < CONFIG.watchIntervalMs) await sleep(500);
+        await State.checkPause();
+        if (!State.isRunning()) break;
+        if (canRefresh && Date.now() - refreshedAt >= CONFIG.watchIntervalMs) {
+          const fresh = await ItemSource.refresh();
+          canRefresh = fresh.keys.size > 0 || fresh.complete;
+          refreshedAt = Date.now();
+          if (!canRefresh) Logger.info('WARNING: Watch: the page could not fetch its items again — only changes it shows by itself will be caught');
+        }
+        dirty = false;
+
+        const now = Date.now();
+        budget = Math.min(perMinute, budget + ((now - refilledAt) / 60000) * perMinute);
+        refilledAt = now;
+
+        const items = read();
+        const due = items.filter((item) => {
+          const key = itemKey(item);
+          if (!Filter.shouldProcess(item, targets)) {
+            attempts.delete(key);
+            return false;
+          }
+          const tries = attempts.get(key) ?? 0;
+          if (tries === CONFIG.maxRetries + 1) {
+            Logger.info(`Watch: giving up on "${item.title}" after ${tries} attempts`);
+            attempts.set(key, tries + 1);
+          }
+          return tries <= CONFIG.maxRetries && !(CONFIG.dryRun && tries > 0);
+        });
+
+        if (due.length > 0 && budget >= 1) {
+          const batch = due.slice(0, Math.floor(budget));
+          budget -= batch.length;
+          for (const item of batch) {
+            const key = itemKey(item);
+            const tries = (attempts.get(key) ?? 0) + 1;
+            attempts.set(key, tries);
+            Logger.info(`Watch: "${item.title}" (${item.contentType}) — applying ${CONFIG.mode}` + (tries > 1 ? ` (attempt ${tries})` : ''));
+          }
+          // Already-processed items come back when they drift; a dry run reports each one once
+          if (!CONFIG.dryRun) engine.requeue(new Set(batch.map(itemKey)));
+          const before = engine.getStats();
+          await processWith(engine, batch);
+          Journal.flush();
+          const after = engine.getStats();
+          Logger.info(`Watch: ${after.toggled - before.toggled} changed, ${after.failed - before.failed} failed` +
+            ` (${after.toggled} changed since start)`);
+          if (due.length > batch.length) {
+            Logger.info(`Watch: rate limit reached — ${due.length - batch.length} items wait for the next check`);
+          }
+        }
+
+        // The dashboard may offer more items since the last sweep
+        const pagination = ItemSource.getPagination();
+        if (!pagination.isLastPage && pagination.loadMore && !pagination.isLoading && State.isRunning()) {
+          Logger.verbose('Watch: loading more items...');
+          const prevCount = getCount();
+          pagination.loadMore();
+          await waitForNewItems(getCount, prevCount);
+          await sleep(Throttle.delay(CONFIG.pageDelayMs));
+          dirty = true;
+        }
+      }
+    } finally {
+      observer.disconnect();
+      Throttle.unwatch();
+      RunInfo.watching = false;
+      Journal.flush();
+      Logger.info('Watch ended');
+    }
+  }
+
+  // --------------------------------------------------------------------------
+  // Export mode — page through the catalog and download the inventory
+  // --------------------------------------------------------------------------
+  async function runExport(isChildSelected) {
+    if (!ItemSource.hasFiber()) {
+      Logger.info('WARNING: No fiber access — export will not include per-child access state');
+    }
+
+    await forEachPage(isChildSelected, (items) => Exporter.collect(items));
+
+    State.stop();
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    if (CONFIG.exportFormat === 'csv') {
+      downloadFile(`akm-inventory-${stamp}.csv`, Exporter.toCSV(), 'text/csv');
+    } else {
+      downloadFile(`akm-inventory-${stamp}.json`, Exporter.toJSON(), 'application/json');
+    }
+    Logger.info(`Exported ${Exporter.size()} items (${CONFIG.exportFormat === 'csv' ? 'CSV' : 'JSON'})`);
+  }
+
+  // --------------------------------------------------------------------------
+  // Compare / copy — one child's allowlist against another's
+  // --------------------------------------------------------------------------
+  // The two children for compare/copy as { source, dest } children, or null after logging why
+  function resolveChildPair(isChildSelected) {
+    if (isChildSelected) {
+      Logger.info(`ERROR: ${CONFIG.mode} needs the no-child-selected view (click the back arrow first)`);
+      return null;
+    }
+    if (!ItemSource.hasFiber()) {
+      Logger.info(`ERROR: ${CONFIG.mode} needs React Fiber access to read every child's access`);
+      return null;
+    }
+    const source = ItemSource.findChild(CONFIG.sourceChild);
+    if (!source) {
+      Logger.info(`ERROR: Set sourceChild to one of: ${ItemSource.getChildren().map((c) => c.firstName).join(', ')}`);
+      return null;
+    }
+    const destNames = CONFIG.allChildren && CONFIG.mode === 'copy'
+      ? ItemSource.getChildren().filter((c) => c.directedId !== source.directedId).map((c) => c.firstName)
+      : [].concat(CONFIG.childName ?? []);
+    if (CONFIG.mode === 'compare' && destNames.length !== 1) {
+      Logger.info('ERROR: Set childName to the one child to compare with');
+      return null;
+    }
+    const dest = [];
+    for (const name of destNames) {
+      const child = ItemSource.findChild(name);
+      if (!child) {
+        Logger.info(`ERROR: No child named "${name}"`);
+        return null;
+      }
+      if (child.directedId === source.directedId) {
+        Logger.info(`ERROR: ${child.firstName} is both the source and the target`);
+        return null;
+      }
+      dest.push(child);
+    }
+    if (dest.length === 0) {
+      Logger.info('ERROR: Set childName to the child (or children) to copy to');
+      return null;
+    }
+    return { source, dest };
+  }
+
+  async function runCompare(isChildSelected) {
+    const pair = resolveChildPair(isChildSelected);
+    if (!pair) return;
+    const a = pair.source;
+    const b = pair.dest[0];
+    Logger.info(`Comparing ${a.firstName} with ${b.firstName}`);
+
+    const onlyA = [];
+    const onlyB = [];
+    let both = 0;
+    let neither = 0;
+    const seen = new Set();
+    await forEachPage(false, (items) => {
+      for (const item of items) {
+        const key = itemKey(item);
+        if (seen.has(key) || !Filter.matches(item)) continue;
+        seen.add(key);
+        const hasA = item.accessMap?.[a.directedId] === 'AVAILABLE';
+        const hasB = item.accessMap?.[b.directedId] === 'AVAILABLE';
+        const row = { title: item.title, itemId: item.itemId, type: item.contentType };
+        if (hasA && !hasB) onlyA.push(row);
+        else if (hasB && !hasA) onlyB.push(row);
+        else if (hasA) both++;
+        else neither++;
+      }
+    });
+    State.stop();
+
+    Logger.info(`${seen.size} items: both ${both}, neither ${neither}, only ${a.firstName} ${onlyA.length}, only ${b.firstName} ${onlyB.length}`);
+    if (onlyA.length > 0) {
+      Logger.info(`${a.firstName} can access, ${b.firstName} can't:`);
+      Logger.table(onlyA);
+    }
+    if (onlyB.length > 0) {
+      Logger.info(`${b.firstName} can access, ${a.firstName} can't:`);
+      Logger.table(onlyB);
+    }
+    RunInfo.comparison = { source: a.firstName, child: b.firstName, both, neither, onlySource: onlyA, onlyChild: onlyB };
+  }
+
+  // --------------------------------------------------------------------------
+  // Undo mode — put every item from the last journaled run back how it was
+  // --------------------------------------------------------------------------
+  async function runUndo(isChildSelected) {
+    const run = Journal.lastRun();
+    if (!run) {
+      Logger.info('Nothing to undo — the journal has no runs with changes');
+      return;
+    }
+    if (isChildSelected) {
+      Logger.info('ERROR: Undo needs the no-child-selected view (click the back arrow first)');
+      return;
+    }
+    Logger.info(`Undoing run from ${run.startedAt} (${run.mode}, ${run.entries.length} changes)`);
+
+    // Walk the journal newest-first so each item/child ends at its earliest recorded state
+    const rows = new Map();
+    const targets = new Map();
+    for (const e of [...run.entries].reverse()) {
+      const key = e.itemId ?? e.title;
+      const row = rows.get(key) ?? { itemId: e.itemId, title: e.title, childDirectedIdAccessMap: {}, access: {} };
+      const state = e.prev ? 'AVAILABLE' : 'UNAVAILABLE';
+      if (e.childId) row.childDirectedIdAccessMap[e.childId] = state;
+      row.access[e.child ?? ''] = state;
+      rows.set(key, row);
+      targets.set(e.childId ?? e.child, { name: e.child ?? '', directedId: e.childId, mode: 'undo' });
+    }
+
+    // Every change must map to a child on the page; never guess a switch
+    const children = ItemSource.getChildren();
+    for (const t of targets.values()) {
+      const child = t.directedId ? children.find((c) => c.directedId === t.directedId)
+        : t.name ? ItemSource.findChild(t.name)
+          : children.length === 1 ? children[0] : null;
+      // The panel finds switches by name, so a change without one can't be undone safely
+      if (!child && !t.name) {
+        Logger.info(`ERROR: Can't tell which child "${t.name || t.directedId || '(unnamed)'}" is — nothing was undone`);
+        return;
+      }
+      t.name = child?.firstName ?? t.name;
+      t.directedId = child?.directedId ?? t.directedId;
+    }
+    Reconciler.load({ items: Array.from(rows.values()) }, { unlisted: null });
+    PanelEngine.init(Array.from(targets.values()));
+    RunInfo.engine = PanelEngine;
+
+    if (!CONFIG.dryRun) Journal.begin('undo');
+    RunReport.context('no-child-selected', Array.from(targets.values()));
+    await forEachPage(false, async (items, pageNum, loaded) => {
+      RunReport.consider(items, Array.from(targets.values()));
+      await PanelEngine.processItems(items);
+      Logger.progress(PanelEngine.getStats(), loaded);
+    });
+    await retryFailures(false, PanelEngine);
+
+    State.stop();
+    Journal.flush();
+    const stats = PanelEngine.getStats();
+    Logger.summary(stats);
+    reportPermanentFailures();
+    await verifyRun(false, PanelEngine);
+
+    const missing = Reconciler.unmatched();
+    if (missing.length > 0) Logger.info(`${missing.length} journaled items were not found in the catalog`);
+    if (!CONFIG.dryRun && stats.failed === 0 && missing.length === 0) {
+      Journal.markUndone(run.id);
+    } else if (!CONFIG.dryRun) {
+      Logger.info('Undo incomplete — run undo again to retry the remaining items');
+    }
+  }
 
-        // Scroll the button into view
-        accessBtn.scrollIntoView({ block: 'center', behavior: 'instant' });
-        await sleep(50);
+  // --------------------------------------------------------------------------
+  // Doctor mode — report which page integration points still work (no changes)
+  // --------------------------------------------------------------------------
+  function runDoctor() {
+    const lines = [];
+    const check = (ok, text) => lines.push(`${ok ? '[ok]  ' : '[FAIL]'} ${text}`);
+    const note = (text) => lines.push(`       ${text}`);
+    const keysOf = (obj) => (obj && typeof obj === 'object' ? Object.keys(obj).join(', ') || '(none)' : '(none)');
 
-        // Open panel
-        const sw = await this._openPanel(accessBtn);
-        if (!sw) {
-          Logger.verbose(`Panel did not open for "${item.title}"`);
-          this._stats.failed++;
-          continue;
-        }
+    lines.push('=== Amazon Kids Content Manager v3 — Doctor ===');
+    lines.push(`Time: ${new Date().toISOString()}`);
+    lines.push(`URL: ${location.href}`);
+    lines.push(`Locale: ${Locale.detect()} (page lang: ${document.documentElement.lang || 'none'})`);
+    lines.push(`Browser: ${navigator.userAgent}`);
+    lines.push('');
 
-        // Find the right child's switch
-        const childSw = this._findChildSwitch();
-        if (!childSw) {
-          Logger.verbose(`No child switch found for "${item.title}"`);
-          await this._clickCancel();
-          this._stats.failed++;
-          continue;
-        }
+    // DOM selector strategies
+    lines.push('DOM selectors:');
+    const selectors = {
+      '.content-card-clickable': 'cards',
+      '[class*="content-card"]': 'cards (loose match)',
+      'input[role="switch"]': 'inline switches (child-selected)',
+      '.allowlist-count': 'access buttons (no-child-selected)',
+      '[role="dialog"], .panda-site-sheet-container': 'open panels',
+    };
+    for (const [sel, what] of Object.entries(selectors)) {
+      note(`${String(document.querySelectorAll(sel).length).padStart(4)}  ${sel} — ${what}`);
+    }
+    const showMore = ItemSource._findShowMore();
+    note(`${showMore ? '   1' : '   0'}  "show more" button by text${showMore ? ` ("${showMore.textContent.trim()}")` : ''}`);
 
-        // Check current state and toggle if needed
-        const wantChecked = CONFIG.mode === 'enable';
-        if (childSw.checked === wantChecked) {
-          // Already in desired state
-          Logger.verbose(`"${item.title}" already ${CONFIG.mode}d`);
-          await this._clickCancel();
-          this._stats.skipped++;
-          continue;
-        }
+    const pageMode = detectPageMode();
+    check(!!pageMode, `Page mode: ${pageMode ?? 'not detected — no switches or access buttons on the page'}`);
+    lines.push('');
 
-        // Toggle the switch
-        const label = childSw.closest('label');
-        if (label) {
-          label.click();
-        } else {
-          childSw.click();
-        }
-        await sleep(100);
+    // React Fiber
+    lines.push('React Fiber:');
+    const fiberOk = FiberUtil.init();
+    check(!!FiberUtil._fiberKey, `Fiber key: ${FiberUtil._fiberKey ?? 'not found on the first card/switch'}`);
+    check(!!FiberUtil._propsKey, `Props key: ${FiberUtil._propsKey ?? 'not found'}`);
 
-        // Verify toggle
-        if (childSw.checked !== wantChecked) {
-          Logger.verbose(`Switch did not toggle for "${item.title}", retrying`);
-          this._stats.retried++;
-          (label || childSw).click();
-          await sleep(200);
-        }
+    const pc = fiberOk ? FiberUtil.findPageComponent() : null;
+    check(!!pc, pc ? 'Page component found (fetchItems + itemProps + basePageData)' : 'Page component not found');
+    if (fiberOk && !pc) {
+      // Show the ancestor that comes closest, so a rename is easy to spot
+      const probe = document.querySelector('.content-card-clickable') || document.querySelector('input[role="switch"]');
+      const wanted = ['fetchItems', 'itemProps', 'basePageData'];
+      let best = null;
+      let bestScore = 0;
+      FiberUtil.findAncestor(probe, (f) => {
+        const p = f.memoizedProps;
+        const score = p && typeof p === 'object' ? wanted.filter((k) => k in p).length : 0;
+        if (score > bestScore) { best = f; bestScore = score; }
+        return false;
+      });
+      if (best) {
+        note(`Closest ancestor has ${bestScore}/3 expected props; missing: ${wanted.filter((k) => !(k in best.memoizedProps)).join(', ')}`);
+        note(`Its props: ${keysOf(best.memoizedProps)}`);
+      } else {
+        note('No ancestor has any of fetchItems / itemProps / basePageData');
+      }
+    }
 
-        // Click Done to save
-        const saved = await this._clickDone();
-        if (saved) {
-          this._stats.toggled++;
-          Logger.verbose(`${CONFIG.mode}d: "${item.title}"`);
-        } else {
-          Logger.verbose(`Failed to save "${item.title}"`);
-          this._stats.failed++;
-        }
+    let items = null;
+    if (pc) {
+      const props = pc.memoizedProps;
+      const expect = [
+        ['itemProps.items', Array.isArray(props.itemProps?.items), () => keysOf(props.itemProps)],
+        ['itemProps.isLastPage', typeof props.itemProps?.isLastPage === 'boolean', () => keysOf(props.itemProps)],
+        ['itemProps.isLoading', typeof props.itemProps?.isLoading === 'boolean', () => keysOf(props.itemProps)],
+        ['basePageData.children', ItemSource._readChildren(props.basePageData).length > 0, () => keysOf(props.basePageData)],
+      ];
+      if (pageMode === 'child-selected') {
+        expect.push(['basePageData.selectedChild.directedId', !!props.basePageData?.selectedChild?.directedId, () => keysOf(props.basePageData?.selectedChild)]);
+      }
+      for (const [name, ok, available] of expect) {
+        check(ok, `${name}${ok ? '' : ` missing — available: ${available()}`}`);
+      }
 
-        // Brief pause between items to let the UI settle
-        await sleep(CONFIG.clickDelayMs);
+      items = Array.isArray(props.itemProps?.items) ? props.itemProps.items : null;
+      if (items?.length > 0) {
+        const first = items[0];
+        const fields = ['itemId', 'title', 'activityCategory', 'childDirectedIdAccessMap'];
+        const missing = fields.filter((f) => first[f] == null);
+        check(missing.length === 0, missing.length === 0
+          ? `Item fields: ${fields.join(', ')}`
+          : `Item fields missing: ${missing.join(', ')} — available: ${keysOf(first)}`);
+        const values = new Set(items.flatMap((it) => Object.values(it.childDirectedIdAccessMap ?? {})));
+        note(`Access values seen: ${Array.from(values).join(', ') || '(none)'}`);
+      }
+      const children = ItemSource._readChildren(props.basePageData);
+      note(`Children: ${children.map((c) => c.firstName).join(', ') || '(none)'}`);
+    }
+    lines.push('');
 
-        // Log progress every 10 items
-        if ((i + 1) % 10 === 0) {
-          Logger.progress(this._stats, toProcess.length);
-        }
+    // Fiber items must line up with the controls the engines index them by
+    lines.push('Fiber ↔ DOM alignment:');
+    if (!items || !pageMode) {
+      note('Skipped — needs fiber items and a detected page mode');
+    } else {
+      const els = Array.from(pageMode === 'child-selected' ? ItemSource._switches() : ItemSource._accessBtns());
+      check(els.length === items.length, `${items.length} fiber items, ${els.length} ${pageMode === 'child-selected' ? 'switches' : 'access buttons'}`);
+      const off = [];
+      for (let i = 0; i < Math.min(els.length, items.length); i++) {
+        const label = els[i].getAttribute('aria-label') || '';
+        if (!label.startsWith(items[i].title)) off.push(i);
       }
-    },
+      check(off.length === 0, off.length === 0
+        ? 'Every label starts with its fiber item\'s title'
+        : `${off.length} labels don't match their fiber item (first at index ${off[0]}: "${items[off[0]].title}" vs "${els[off[0]].getAttribute('aria-label')}")`);
+    }
+    lines.push('================================================');
 
-    getStats() { return { ...this._stats }; },
-  };
+    const report = lines.join('\n');
+    RunInfo.report = report;
+    Logger._out(report);
+    navigator.clipboard?.writeText(report).then(
+      () => Logger.info('Report copied to the clipboard'),
+      () => Logger.info('Copy the report above (or read AKM.status().report)')
+    );
+    return report;
+  }
 
   // --------------------------------------------------------------------------
-  // Wait for new items to appear after a page load
+  // Target children — [{ name, directedId, mode }] from childModes / childName
   // --------------------------------------------------------------------------
-  function waitForNewItems(getCount, previousCount, timeoutMs = 15000) {
-    return new Promise((resolve) => {
-      const start = Date.now();
-      const check = () => {
-        if (!State.isRunning() && !State.isPaused()) { resolve(); return; }
-        if (getCount() > previousCount) { resolve(); return; }
-        if (Date.now() - start > timeoutMs) {
-          Logger.info('Timeout waiting for new items — continuing');
-          resolve();
-          return;
-        }
-        setTimeout(check, 150);
+  function resolveTargets(isChildSelected) {
+    const childInfo = ItemSource.getChildInfo();
+    const modeFor = (name) => CONFIG.childModes?.[name] ?? CONFIG.mode;
+
+    // Child-selected view can only manage the selected child
+    if (isChildSelected) {
+      return [{ name: childInfo.childName, directedId: childInfo.childId, mode: modeFor(childInfo.childName) }];
+    }
+
+    let names;
+    if (CONFIG.childModes) names = Object.keys(CONFIG.childModes);
+    else if (CONFIG.allChildren) names = ItemSource.getChildren().map((c) => c.firstName);
+    else if (Array.isArray(CONFIG.childName)) names = CONFIG.childName;
+    else {
+      const children = ItemSource.getChildren();
+      names = [CONFIG.childName || childInfo.childName || (children.length === 1 ? children[0].firstName : null)];
+    }
+
+    return names.map((name) => {
+      const child = name ? ItemSource.findChild(name) : null;
+      return {
+        name: child?.firstName ?? name ?? null,
+        directedId: child?.directedId ?? (name ? null : childInfo.childId),
+        mode: modeFor(name),
       };
-      setTimeout(check, 150);
     });
   }
 
@@ -726,12 +3945,35 @@ const CONFIG = {
   // Main
   // --------------------------------------------------------------------------
   async function main() {
+    // Fresh counters, so the control panel can start run after run
+    Logger.reset();
+    CardClickEngine.reset();
+    PanelEngine.reset();
+    ApiEngine.reset();
+    Exporter.reset();
+    Verifier.reset();
+    Plan.reset();
+    FailureQueue.reset();
+    Throttle.reset();
+    RunInfo.reset();
+
     Logger.info(`Amazon Kids Content Manager v3 starting (mode: ${CONFIG.mode})`);
+    const configErrors = Config.problems();
+    if (configErrors.length > 0) {
+      for (const err of configErrors) Logger.info(`ERROR: ${err}`);
+      Logger.info('Fix the settings above and start again — nothing was changed');
+      return;
+    }
     if (CONFIG.dryRun) Logger.info('** DRY RUN MODE — no changes will be made **');
     if (CONFIG.keywords) Logger.info(`Keywords (include): ${CONFIG.keywords.join(', ')}`);
     if (CONFIG.excludeKeywords) Logger.info(`Keywords (exclude): ${CONFIG.excludeKeywords.join(', ')}`);
     if (CONFIG.contentTypes) Logger.info(`Content type filter: ${CONFIG.contentTypes.join(', ')}`);
 
+    if (CONFIG.mode === 'doctor') {
+      runDoctor();
+      return;
+    }
+
     // Pre-flight check
     if (!window.location.href.includes('parentdashboard') &&
         !window.location.href.includes('parents.amazon')) {
@@ -743,101 +3985,729 @@ const CONFIG = {
     ItemSource.init();
     State.start();
 
-    // Detect page mode
-    const pageMode = detectPageMode();
-    if (!pageMode) {
-      Logger.info('ERROR: No content items found. Make sure you are on the content page.');
-      return;
+    // Move to the view this mode needs and show its whole catalog: lowest age
+    // range, no filters (put back when the run ends). Returns the page mode, or
+    // null when the run can't go on.
+    const enterView = async () => {
+      if (CONFIG.autoNavigate && !(await Navigator.ensureView())) {
+        RunInfo.error = 'could not switch to the view this run needs';
+        Logger.info('ERROR: Could not switch to the view this run needs — nothing was changed. Open it by hand, or set autoNavigate: false');
+        return null;
+      }
+      const mode = detectPageMode();
+      if (!mode) {
+        Logger.info('ERROR: No content items found. Make sure you are on the content page.');
+        return null;
+      }
+      if (mode !== RunInfo.pageMode) {
+        RunInfo.pageMode = mode;
+        Logger.info(`Page mode: ${mode}`);
+      }
+      if (CONFIG.preparePage && !(await PagePrep.prepare())) return null;
+      return mode;
+    };
+
+    let pageMode = await enterView();
+    if (!pageMode) return;
+    Logger.verbose(`Locale: ${Locale.detect()}`);
+
+    if (CONFIG.logLevel === 'verbose' && ItemSource.hasFiber()) {
+      const loaded = pageMode === 'child-selected' ? ItemSource.getItemsChildSelected() : ItemSource.getItemsNoChild();
+      Logger.verbose(`Item fields (${loaded.length} items on the first page):`);
+      for (const f of ItemSource.describeFields(loaded)) {
+        const sample = f.sample === undefined ? '' : ` e.g. ${JSON.stringify(f.sample).slice(0, 60)}`;
+        Logger.verbose(`  ${f.field} (${f.count}/${loaded.length})${sample}`);
+      }
+    }
+
+    // Resume an interrupted run with its original settings
+    const resumed = ['enable', 'disable', 'reconcile', 'copy'].includes(CONFIG.mode) && !CONFIG.dryRun
+      ? Checkpoint.offerResume(pageMode)
+      : null;
+    if (resumed) {
+      Object.assign(CONFIG, resumed.config);
+      Logger.info(`Resuming ${CONFIG.mode} run for ${resumed.targets.map((t) => t.name ?? '(first child)').join(', ')} — ${resumed.processed.length} items already done (reached page ${resumed.pageNum})`);
     }
 
+    // A named profile, or the managed child's default, replaces the policy settings
+    const profile = !resumed && ['enable', 'disable', 'reconcile'].includes(CONFIG.mode) ? Profiles.pick() : null;
+    if (profile) {
+      const wasDryRun = CONFIG.dryRun;
+      if (!Profiles.apply(profile.name)) {
+        Logger.info(`ERROR: No saved profile named "${profile.name}"`);
+        return;
+      }
+      Logger.info(`Profile: "${profile.name}"${profile.child ? ` (default for ${profile.child})` : ''} — mode: ${CONFIG.mode}`);
+      if (CONFIG.dryRun && !wasDryRun) Logger.info('** DRY RUN MODE — no changes will be made **');
+      if (CONFIG.keywords) Logger.info(`Keywords (include): ${CONFIG.keywords.join(', ')}`);
+      if (CONFIG.excludeKeywords) Logger.info(`Keywords (exclude): ${CONFIG.excludeKeywords.join(', ')}`);
+      if (CONFIG.contentTypes) Logger.info(`Content type filter: ${CONFIG.contentTypes.join(', ')}`);
+      const profileErrors = Config.problems();
+      if (profileErrors.length > 0) {
+        for (const err of profileErrors) Logger.info(`ERROR: profile "${profile.name}": ${err}`);
+        return;
+      }
+      // Its mode or children may need another view than the one opened above
+      pageMode = await enterView();
+      if (!pageMode) return;
+    }
     const isChildSelected = pageMode === 'child-selected';
-    Logger.info(`Page mode: ${pageMode}`);
 
-    if (isChildSelected && CONFIG.mode === 'enable') {
-      Logger.info('WARNING: Enable mode in child-selected view only sees enabled items.');
-      Logger.info('To re-enable disabled items, deselect the child first (click back arrow).');
+    if (CONFIG.where && !ItemSource.hasFiber()) {
+      Logger.info('WARNING: where filters need React Fiber access — only itemId, title and activityCategory are available');
     }
 
-    // Determine target child name for panel mode
-    if (!isChildSelected) {
-      const childInfo = ItemSource.getChildInfo();
-      const targetName = CONFIG.childName || childInfo.childName;
-      PanelEngine.init(targetName);
-      Logger.info(`Target child: ${targetName || '(first child)'}`);
+    if (CONFIG.mode === 'export') {
+      await runExport(isChildSelected);
+      return;
     }
 
-    let pageNum = 0;
+    if (CONFIG.mode === 'undo') {
+      await runUndo(isChildSelected);
+      return;
+    }
 
-    // Main loop: process current items, then load next page
-    while (State.isRunning()) {
-      await State.checkPause();
-      pageNum++;
+    if (CONFIG.mode === 'compare') {
+      await runCompare(isChildSelected);
+      return;
+    }
+
+    let copyPair = null;
+    if (CONFIG.mode === 'copy') {
+      copyPair = resolveChildPair(isChildSelected);
+      if (!copyPair) return;
+      CONFIG.childName = copyPair.dest.length === 1 ? copyPair.dest[0].firstName : copyPair.dest.map((c) => c.firstName);
+      CONFIG.childModes = null;
+      CONFIG.allChildren = false;
+      Logger.info(`Copying ${copyPair.source.firstName}'s access`);
+    }
 
-      const items = isChildSelected
-        ? ItemSource.getItemsChildSelected()
-        : ItemSource.getItemsNoChild();
+    if (isChildSelected && CONFIG.mode === 'enable') {
+      Logger.info('WARNING: Enable mode in child-selected view only sees enabled items.');
+      Logger.info('To re-enable disabled items, deselect the child first (click back arrow).');
+    }
 
-      const engine = isChildSelected ? CardClickEngine : PanelEngine;
-      Logger.info(`Page ${pageNum}: ${items.length} items loaded`);
+    // Determine target children
+    const targets = resolveTargets(isChildSelected);
+    for (const t of targets) {
+      if (t.mode === 'copy') t.sourceId = copyPair.source.directedId;
+    }
+    if (isChildSelected) {
+      CardClickEngine.init(targets[0]);
+    } else {
+      if (targets.length === 1 && targets[0].directedId) {
+        ItemSource.setChild(targets[0].directedId, targets[0].name);
+      }
+      PanelEngine.init(targets);
+      for (const t of targets) {
+        Logger.info(`Target child: ${t.name || '(first child)'}${t.mode !== CONFIG.mode ? ` (${t.mode})` : ''}`);
+      }
+    }
 
-      // Process items
+    if (targets.some((t) => t.mode === 'reconcile')) {
+      let count;
+      try {
+        count = Reconciler.load(CONFIG.desiredState);
+      } catch (e) {
+        Logger.info(`ERROR: Could not parse desiredState — ${e.message}`);
+        return;
+      }
+      if (count === 0 && !CONFIG.reconcileUnlisted) {
+        Logger.info('ERROR: desiredState is empty — nothing to reconcile');
+        return;
+      }
+      Logger.info(`Desired state: ${count} items` +
+        (CONFIG.reconcileUnlisted ? ` (unlisted items: ${CONFIG.reconcileUnlisted})` : ''));
       if (isChildSelected) {
-        await engine.processBatch(items);
+        Logger.info('NOTE: Child-selected view only shows enabled items — items to enable need the no-child-selected view.');
+      }
+    }
+
+    const uiEngine = isChildSelected ? CardClickEngine : PanelEngine;
+    let engine = uiEngine;
+    if (CONFIG.engine === 'api') {
+      if (ItemSource.hasFiber()) {
+        ApiEngine.init(targets, uiEngine);
+        engine = ApiEngine;
+        Logger.info(`Engine: direct API requests (${CONFIG.apiConcurrency} at a time)`);
       } else {
-        await engine.processItems(items);
+        Logger.info('WARNING: engine \'api\' needs React Fiber access — using page clicks');
       }
+    }
+    if (resumed) engine.restore(resumed);
+    RunInfo.engine = engine;
+    RunReport.context(pageMode, targets);
 
-      Logger.progress(engine.getStats(), items.length);
+    // A resumed run already had its plan confirmed, and carries it in the checkpoint
+    if (resumed?.plan) {
+      Plan.restore(resumed.plan);
+      RunInfo.plan = { items: Plan.size(), confirmed: true };
+      Logger.info(`Resuming the confirmed plan (${Plan.size()} items)`);
+    }
+    const planned = !!resumed?.plan || (!!CONFIG.confirmPlan && !resumed);
+    if (planned && !resumed && !(await buildPlan(isChildSelected, targets))) {
+      State.stop();
+      return;
+    }
+    if (planned) Plan.active = true;
 
-      // Check pagination
-      const pagination = ItemSource.getPagination();
+    if (!CONFIG.dryRun) {
+      Journal.begin(CONFIG.mode);
+      Checkpoint.begin(pageMode, engine, targets);
+    }
 
-      if (pagination.isLastPage) {
-        Logger.info('Reached last page');
-        break;
-      }
+    Throttle.watch();
+    if (planned) {
+      await applyPlan(isChildSelected, engine);
+    } else {
+      await forEachPage(isChildSelected, async (items, pageNum, loaded) => {
+        RunReport.consider(items, targets);
+        await processWith(engine, items);
+        Logger.progress(engine.getStats(), loaded);
+      });
+    }
+    await retryFailures(isChildSelected, engine);
+    Throttle.unwatch();
 
-      if (!pagination.loadMore) {
-        Logger.info('No more pages to load');
-        break;
-      }
+    // Still running here means the catalog was exhausted rather than stopped
+    Checkpoint.end(State.isRunning());
+    State.stop();
+    Journal.flush();
+    Logger.summary(engine.getStats());
+    reportPermanentFailures();
+    if (targets.length > 1) {
+      const failures = FailureQueue.entries().map(([, e]) => e.target?.name ?? '');
+      RunInfo.reportChildren(targets.map((t) => ({
+        child: t.name,
+        mode: t.mode,
+        toggled: RunInfo.toggledFor[t.name ?? ''] ?? 0,
+        failed: failures.filter((name) => name === (t.name ?? '')).length,
+      })));
+    }
+    await verifyRun(isChildSelected, engine);
 
-      if (pagination.isLoading) {
-        Logger.verbose('Waiting for current page load to finish...');
-        await sleep(1000);
-        continue;
+    if (targets.some((t) => t.mode === 'reconcile')) {
+      const missing = Reconciler.unmatched();
+      if (missing.length > 0) {
+        Logger.info(`${missing.length} desired items were not found in the catalog`);
+        for (const e of missing) Logger.verbose(`  not found: "${e.title}"${e.itemId && e.itemId !== e.title ? ` (${e.itemId})` : ''}`);
       }
+    }
 
-      // Load next page
-      Logger.verbose('Loading next page...');
-      const prevCount = items.length;
-      pagination.loadMore();
+    // Watching applies the policy to new items, not the plan
+    Plan.active = false;
+    if (CONFIG.watch && !RunInfo.stopped) await runWatch(isChildSelected, engine, targets);
+  }
 
-      const getCount = isChildSelected
-        ? () => document.querySelectorAll('input[role="switch"]').length
-        : () => document.querySelectorAll('.allowlist-count').length;
+  // --------------------------------------------------------------------------
+  // All children — a fast disable visits each child's view in turn
+  // --------------------------------------------------------------------------
+  // main() on a copy of the settings: profiles and resume rewrite CONFIG for
+  // one run, and must not leak into the next run or the next child's
+  async function runScoped() {
+    const settings = { ...CONFIG };
+    try {
+      await main();
+    } finally {
+      for (const key of Object.keys(CONFIG)) if (!(key in settings)) delete CONFIG[key];
+      Object.assign(CONFIG, settings);
+    }
+  }
 
-      await waitForNewItems(getCount, prevCount);
-      await sleep(CONFIG.pageDelayMs);
+  async function runChildren() {
+    // Everything else covers all children in one pass of the no-child-selected view
+    if (!CONFIG.allChildren || CONFIG.mode !== 'disable' || CONFIG.engine === 'api' || !CONFIG.autoNavigate) {
+      await runScoped();
+      return;
     }
 
-    // Final pass — catch any stragglers
-    if (State.isRunning()) {
-      const finalItems = isChildSelected
-        ? ItemSource.getItemsChildSelected()
-        : ItemSource.getItemsNoChild();
-      if (isChildSelected) {
-        await CardClickEngine.processBatch(finalItems);
-      } else {
-        await PanelEngine.processItems(finalItems);
-      }
+    const configErrors = Config.problems();
+    if (configErrors.length > 0) {
+      for (const err of configErrors) Logger.info(`ERROR: ${err}`);
+      return;
+    }
+
+    ItemSource.init();
+    const children = ItemSource.getChildren();
+    if (children.length === 0) {
+      Logger.info('ERROR: No children found on the page (needs React Fiber access)');
+      return;
     }
 
-    const engine = isChildSelected ? CardClickEngine : PanelEngine;
+    const saved = { childName: CONFIG.childName, watch: CONFIG.watch };
+    const rows = [];
+    CONFIG.allChildren = false;
+    // One journal run for every child, so one undo reverts them all
+    await Journal.share(async () => {
+      try {
+        for (const [i, child] of children.entries()) {
+          CONFIG.childName = child.firstName;
+          CONFIG.watch = saved.watch && i === children.length - 1;  // watching never ends, so only the last child
+          Logger.info(`=== ${child.firstName} ===`);
+          try {
+            await runScoped();
+          } catch (e) {
+            RunInfo.error = e.message;
+            Logger.info(`ERROR: ${child.firstName}: ${e.message}`);
+          } finally {
+            // Each child's view has its own age range and filters; put them back before leaving it
+            await PagePrep.restore();
+          }
+          const stats = RunInfo.engine?.getStats();
+          rows.push({
+            child: child.firstName,
+            toggled: stats?.toggled ?? 0,
+            skipped: stats?.skipped ?? 0,
+            failed: stats?.failed ?? 0,
+            error: RunInfo.error ?? '',
+          });
+          if (RunInfo.stopped) break;
+        }
+      } finally {
+        Object.assign(CONFIG, saved);
+        CONFIG.allChildren = true;
+      }
+    });
+    RunInfo.reportChildren(rows);
+  }
+
+  // --------------------------------------------------------------------------
+  // Runner — one run at a time, shared by the control panel and window.AKM
+  // --------------------------------------------------------------------------
+  let activeRun = null;
+
+  function runStatus() {
+    return {
+      state: State.current(),
+      mode: RunInfo.mode,
+      pageMode: RunInfo.pageMode,
+      page: RunInfo.page,
+      stats: RunInfo.engine?.getStats() ?? null,
+      stopped: RunInfo.stopped,
+      error: RunInfo.error,
+      verification: RunInfo.verification,
+      report: RunInfo.report,
+      comparison: RunInfo.comparison,
+      children: RunInfo.children,
+      watching: RunInfo.watching,
+      plan: RunInfo.plan,
+    };
+  }
+
+  // Start main() unless a run is in progress; resolves with the final status
+  function startRun() {
+    if (activeRun) return null;
+    activeRun = (async () => {
+      RunReport.begin();
+      try {
+        await runChildren();
+      } catch (e) {
+        RunInfo.error = e.message;
+        Logger.info(`ERROR: ${e.message}`);
+      } finally {
+        State.stop();
+        Throttle.unwatch();
+        // Neither may throw past here, or the runner would stay busy for good
+        try {
+          await PagePrep.restore();
+        } catch (e) {
+          Logger.info(`WARNING: Could not restore the age range and filters — ${e.message}`);
+        }
+        try {
+          RunReport.finish();
+        } catch (e) {
+          Logger.info(`WARNING: Could not write the run report — ${e.message}`);
+        }
+        activeRun = null;
+      }
+      const result = runStatus();
+      ControlPanel.sync();
+      Events.emit('runComplete', result);
+      return result;
+    })();
+    ControlPanel.sync();
+    return activeRun;
+  }
+
+  function stopRun() {
+    if (!activeRun) return;
+    RunInfo.stopped = true;
     State.stop();
-    Logger.summary(engine.getStats());
+    Plan.answer(false);
+    Logger.info('STOPPED');
+    ControlPanel.sync();
   }
 
+  // --------------------------------------------------------------------------
+  // Control Panel — floating in-page UI for configuring and driving a run
+  // --------------------------------------------------------------------------
+  const ControlPanel = {
+    _root: null,
+    _els: null,
+    _maxLogLines: 500,
+    _modes: [
+      ['disable', 'Disable'],
+      ['enable', 'Enable'],
+      ['reconcile', 'Reconcile to desired state'],
+      ['copy', 'Copy another child\'s access'],
+      ['compare', 'Compare with another child'],
+      ['export', 'Export inventory'],
+      ['undo', 'Undo last run'],
+      ['doctor', 'Diagnose page (no changes)'],
+    ],
+    _types: ['APP', 'EBOOK', 'VIDEO', 'AUDIBLE', 'SKILL'],
+
+    _css: `
+      .panel { position: fixed; right: 16px; bottom: 16px; z-index: 2147483647; width: 340px;
+        font: 13px/1.4 system-ui, sans-serif; color: #222; background: #fff; border: 1px solid #bbb;
+        border-radius: 8px; box-shadow: 0 4px 16px rgba(0,0,0,.25); }
+      header { display: flex; align-items: center; gap: 4px; padding: 6px 8px; background: #232f3e;
+        color: #fff; border-radius: 8px 8px 0 0; font-weight: 600; }
+      header span { flex: 1; }
+      header button { background: none; border: 0; color: #fff; font-size: 16px; cursor: pointer; }
+      .body { padding: 8px; display: grid; gap: 6px; }
+      .body.collapsed { display: none; }
+      label { display: grid; gap: 2px; }
+      label.inline { display: flex; align-items: center; gap: 4px; }
+      input[type=text], select, textarea { font: inherit; padding: 3px 4px; }
+      textarea { height: 60px; resize: vertical; }
+      fieldset { margin: 0; padding: 4px 6px; border: 1px solid #ddd; display: flex; flex-wrap: wrap; gap: 2px 10px; }
+      .buttons { display: flex; gap: 4px; }
+      .buttons button { flex: 1; padding: 4px; cursor: pointer; }
+      .bar { height: 8px; background: #eee; border-radius: 4px; overflow: hidden; }
+      .fill { height: 100%; width: 0; background: #ff9900; transition: width .2s; }
+      .status { font-size: 12px; color: #555; }
+      .log { margin: 0; height: 140px; overflow: auto; background: #f7f7f7; border: 1px solid #ddd;
+        padding: 4px; font: 11px/1.3 ui-monospace, monospace; white-space: pre-wrap; }
+      .hidden { display: none; }
+      .hint { font-size: 12px; color: #555; }
+      .hint:empty { display: none; }
+    `,
+
+    mount() {
+      document.getElementById('akm-panel-host')?.remove();
+      const host = document.createElement('div');
+      host.id = 'akm-panel-host';
+      document.body.appendChild(host);
+      this._root = host.attachShadow({ mode: 'open' });
+      this._root.innerHTML = `
+        <style>${this._css}</style>
+        <div class="panel">
+          <header>
+            <span>Amazon Kids Content Manager</span>
+            <button data-act="import" title="Import settings (JSON)">⇪</button>
+            <button data-act="reset" title="Forget saved settings">↺</button>
+            <button data-act="collapse" title="Minimise">–</button>
+            <button data-act="close" title="Close">×</button>
+          </header>
+          <div class="body">
+            <label>Profile <select name="profile"></select></label>
+            <div class="buttons">
+              <button data-act="profileSave" title="Save the settings below as a profile">Save as…</button>
+              <button data-act="profileDefault" title="Use the chosen profile whenever this child is managed">Child default</button>
+              <button data-act="profileDelete">Delete</button>
+            </div>
+            <div class="hint profile-hint"></div>
+            <div class="hint url-hint"></div>
+            <label>Mode <select name="mode"></select></label>
+            <label class="source">From child <select name="sourceChild"></select></label>
+            <label class="desired">Desired state (+ itemId/title, - itemId/title, or exported JSON)
+              <textarea name="desiredState"></textarea></label>
+            <fieldset name="types"><legend>Content types (none = all)</legend></fieldset>
+            <label>Include keywords <input type="text" name="keywords" placeholder="comma-separated, blank = all"></label>
+            <label>Exclude keywords <input type="text" name="excludeKeywords" placeholder="comma-separated"></label>
+            <fieldset name="children"><legend>Children (none = auto-detect)</legend></fieldset>
+            <label class="inline"><input type="checkbox" name="allChildren"> All children</label>
+            <label class="inline"><input type="checkbox" name="dryRun"> Dry run (change nothing)</label>
+            <label class="inline"><input type="checkbox" name="confirmPlan"> Review the full plan before changing anything</label>
+            <label class="inline"><input type="checkbox" name="watch"> Keep watching for new items</label>
+            <div class="buttons">
+              <button data-act="start">Start</button>
+              <button data-act="pause">Pause</button>
+              <button data-act="resume">Resume</button>
+              <button data-act="stop">Stop</button>
+            </div>
+            <div class="bar"><div class="fill"></div></div>
+            <div class="status">Idle</div>
+            <pre class="log"></pre>
+          </div>
+        </div>`;
+
+      const q = (sel) => this._root.querySelector(sel);
+      this._els = {
+        body: q('.body'),
+        profile: q('[name=profile]'),
+        profileHint: q('.profile-hint'),
+        urlHint: q('.url-hint'),
+        mode: q('[name=mode]'),
+        desiredWrap: q('.desired'),
+        sourceWrap: q('.source'),
+        sourceChild: q('[name=sourceChild]'),
+        desiredState: q('[name=desiredState]'),
+        types: q('[name=types]'),
+        keywords: q('[name=keywords]'),
+        excludeKeywords: q('[name=excludeKeywords]'),
+        children: q('[name=children]'),
+        allChildren: q('[name=allChildren]'),
+        dryRun: q('[name=dryRun]'),
+        confirmPlan: q('[name=confirmPlan]'),
+        watch: q('[name=watch]'),
+        fill: q('.fill'),
+        status: q('.status'),
+        log: q('.log'),
+      };
+
+      Logger.sink = this;
+      ItemSource.init();
+      this._fill();
+
+      // Loaded before the catalog rendered (userscript / extension) — pick up children once it appears
+      if (ItemSource.getChildren().length === 0) {
+        waitFor(() => detectPageMode(), 20000, 500).then((found) => {
+          if (!found || !this._root) return;
+          ItemSource.init();
+          this._fillChildren();
+        });
+      }
+      this._root.addEventListener('click', (e) => this._onClick(e));
+      this._els.mode.addEventListener('change', () => this._syncMode());
+      this._els.profile.addEventListener('change', () => this._syncProfile(true));
+      this._els.children.addEventListener('change', () => this._syncProfile(false));
+      this.sync();
+    },
+
+    _checkbox(parent, value, checked) {
+      const wrap = document.createElement('label');
+      wrap.className = 'inline';
+      const box = document.createElement('input');
+      box.type = 'checkbox';
+      box.value = value;
+      box.checked = checked;
+      wrap.append(box, value);
+      parent.appendChild(wrap);
+    },
+
+    _fillChildren() {
+      const fieldset = this._els.children;
+      const legend = fieldset.querySelector('legend');
+      fieldset.replaceChildren(legend);
+      const picked = [].concat(CONFIG.childName ?? []);
+      const children = ItemSource.getChildren();
+      for (const c of children) this._checkbox(fieldset, c.firstName, picked.includes(c.firstName));
+      if (children.length === 0) fieldset.append('No children found on this page');
+
+      const source = this._els.sourceChild;
+      source.replaceChildren(...children.map((c) => new Option(c.firstName, c.firstName)));
+      if (CONFIG.sourceChild) source.value = CONFIG.sourceChild;
+    },
+
+    _fillProfiles() {
+      const select = this._els.profile;
+      select.replaceChildren(new Option('Auto — the child\'s default, if set', ''), new Option('None — use the settings below', '-'));
+      for (const name of Profiles.names()) select.add(new Option(name, `=${name}`));
+      select.value = CONFIG.profile ? `=${CONFIG.profile}` : CONFIG.profile === false ? '-' : '';
+      if (select.selectedIndex < 0) select.value = '';
+    },
+
+    _profileChoice() {
+      const v = this._els.profile.value;
+      return v === '' ? null : v === '-' ? false : v.slice(1);
+    },
+
+    // Show the profile that will apply, and lock the fields it sets
+    _syncProfile(load) {
+      const els = this._els;
+      const kids = Array.from(els.children.querySelectorAll('input:checked')).map((b) => b.value);
+      const saved = { profile: CONFIG.profile, childName: CONFIG.childName };
+      CONFIG.profile = this._profileChoice();
+      if (kids.length > 0) CONFIG.childName = kids.length === 1 ? kids[0] : kids;
+      const picked = Profiles.pick();
+      Object.assign(CONFIG, saved);
+
+      const active = picked && Profiles.get(picked.name) ? picked.name : null;
+      if (active && load) {
+        Profiles.apply(active);
+        CONFIG.profile = this._profileChoice();
+        this._fill();
+        return;
+      }
+      els.profileHint.textContent = active
+        ? `Using "${active}"${picked.child ? ` (${picked.child}'s default)` : ''} — choose None to edit the settings below`
+        : '';
+      for (const el of [els.mode, els.keywords, els.excludeKeywords, els.dryRun, ...els.types.querySelectorAll('input')]) {
+        el.disabled = !!active;
+      }
+    },
+
+    _profileAction(act) {
+      const choice = this._profileChoice();
+      if (act === 'profileSave') {
+        const name = prompt('Save the current settings as profile:', choice || '');
+        if (!name) return;
+        this._read();
+        CONFIG.profile = name;
+        Profiles.save(name);
+        this._fillProfiles();
+        Logger.info(`Saved profile "${name}"`);
+      }
+      if (act === 'profileDelete') {
+        if (!choice || !confirm(`Delete profile "${choice}"?`)) return;
+        Profiles.remove(choice);
+        CONFIG.profile = null;
+        this._fillProfiles();
+        Logger.info(`Deleted profile "${choice}"`);
+      }
+      if (act === 'profileDefault') {
+        this._read();
+        const child = Profiles._detectedChild();
+        if (!child) {
+          Logger.info('Pick one child (or select a child on the dashboard) to set a default profile');
+          return;
+        }
+        Profiles.setDefault(child.directedId, choice || null);
+        Logger.info(choice ? `"${choice}" is now ${child.firstName}'s default profile` : `Cleared ${child.firstName}'s default profile`);
+      }
+      this._syncProfile(false);
+    },
+
+    // Populate the form from CONFIG
+    _fill() {
+      const els = this._els;
+
+      this._fillProfiles();
+      els.urlHint.textContent = Config._fromUrl
+        ? `Settings from the page address are in use (${Object.keys(Config._fromUrl).join(', ')}) — check them before starting`
+        : '';
+
+      els.mode.replaceChildren();
+      for (const [value, label] of this._modes) els.mode.add(new Option(label, value));
+      els.mode.value = CONFIG.mode;
+
+      els.types.querySelectorAll('label').forEach((l) => l.remove());
+      for (const t of this._types) this._checkbox(els.types, t, !!CONFIG.contentTypes?.includes(t));
+
+      this._fillChildren();
+
+      els.keywords.value = [].concat(CONFIG.keywords ?? []).join(', ');
+      els.excludeKeywords.value = [].concat(CONFIG.excludeKeywords ?? []).join(', ');
+      els.dryRun.checked = !!CONFIG.dryRun;
+      els.confirmPlan.checked = !!CONFIG.confirmPlan;
+      els.watch.checked = !!CONFIG.watch;
+      els.allChildren.checked = !!CONFIG.allChildren;
+      if (typeof CONFIG.desiredState === 'string') els.desiredState.value = CONFIG.desiredState;
+      else if (CONFIG.desiredState) els.desiredState.value = JSON.stringify(CONFIG.desiredState, null, 2);
+      this._syncMode();
+      this._syncProfile(false);
+    },
+
+    // Copy the form back into CONFIG
+    _read() {
+      const els = this._els;
+      const list = (str) => {
+        const parts = str.split(',').map((p) => p.trim()).filter(Boolean);
+        return parts.length > 0 ? parts : null;
+      };
+      const checked = (parent) => Array.from(parent.querySelectorAll('input:checked')).map((b) => b.value);
+
+      CONFIG.profile = this._profileChoice();
+      CONFIG.mode = els.mode.value;
+      const types = checked(els.types);
+      CONFIG.contentTypes = types.length > 0 ? types : null;
+      CONFIG.keywords = list(els.keywords.value);
+      CONFIG.excludeKeywords = list(els.excludeKeywords.value);
+      // No box ticked means auto-detect, not the last saved choice (unless there were no boxes to tick)
+      const kids = checked(els.children);
+      if (kids.length > 0 || els.children.querySelector('input')) {
+        CONFIG.childName = kids.length === 0 ? null : kids.length === 1 ? kids[0] : kids;
+      }
+      if (kids.length > 0) CONFIG.childModes = null;
+      CONFIG.dryRun = els.dryRun.checked;
+      CONFIG.confirmPlan = els.confirmPlan.checked ? (CONFIG.confirmPlan || 'confirm') : false;
+      CONFIG.watch = els.watch.checked;
+      CONFIG.allChildren = els.allChildren.checked;
+      if (CONFIG.mode === 'reconcile') CONFIG.desiredState = els.desiredState.value || null;
+      if (['copy', 'compare'].includes(CONFIG.mode)) CONFIG.sourceChild = els.sourceChild.value || null;
+    },
+
+    _syncMode() {
+      this._els.desiredWrap.classList.toggle('hidden', this._els.mode.value !== 'reconcile');
+      this._els.sourceWrap.classList.toggle('hidden', !['copy', 'compare'].includes(this._els.mode.value));
+    },
+
+    _onClick(e) {
+      const act = e.target.closest('[data-act]')?.dataset.act;
+      if (act === 'start') this._start();
+      if (act === 'pause') State.pause();
+      if (act === 'resume') State.resume();
+      if (act === 'stop') stopRun();
+      if (act?.startsWith('profile')) this._profileAction(act);
+      if (act === 'import') {
+        const json = prompt('Paste settings as JSON, e.g. { "mode": "disable", "contentTypes": ["APP"] }');
+        if (json) {
+          this._read();  // keep what was changed in the panel but not yet run
+          if (Config.import(json)) this._fill();
+        }
+      }
+      if (act === 'reset') {
+        Config.reset();
+        this._fill();
+        Logger.info('Saved settings cleared');
+      }
+      if (act === 'collapse') this._els.body.classList.toggle('collapsed');
+      if (act === 'close') {
+        stopRun();
+        this.unmount();
+      }
+      this.sync();
+    },
+
+    async _start() {
+      if (activeRun) return;
+      this._read();
+      Settings.save();
+      this._els.log.textContent = '';
+      this.progress(0, 'Starting…');
+      await startRun();
+      if (this._root) this._els.status.textContent = 'Finished';
+    },
+
+    // Re-read CONFIG into the form (after window.AKM.start changed it)
+    refresh() {
+      if (this._root) this._fill();
+    },
+
+    unmount() {
+      if (Logger.sink === this) Logger.sink = null;
+      this._root?.host.remove();
+      this._root = null;
+    },
+
+    // Enable only the buttons that make sense for the current run state
+    sync() {
+      if (!this._root) return;
+      const btn = (act) => this._root.querySelector(`[data-act=${act}]`);
+      btn('start').disabled = !!activeRun;
+      btn('pause').disabled = !State.isRunning();
+      btn('resume').disabled = !State.isPaused();
+      btn('stop').disabled = !activeRun;
+    },
+
+    // Logger sink
+    line(text) {
+      if (!this._root) return;
+      const log = this._els.log;
+      log.append(text.trim() + '\n');
+      while (log.childNodes.length > this._maxLogLines) log.firstChild.remove();
+      log.scrollTop = log.scrollHeight;
+    },
+
+    progress(pct, text) {
+      if (!this._root) return;
+      this._els.fill.style.width = `${Math.min(100, pct)}%`;
+      this._els.status.textContent = text;
+    },
+  };
+
   // --------------------------------------------------------------------------
   // Keyboard controls
   // --------------------------------------------------------------------------
@@ -850,10 +4720,91 @@ const CONFIG = {
       e.preventDefault();
       if (State.isPaused()) State.resume();
     }
+    ControlPanel.sync();
   });
 
   // --------------------------------------------------------------------------
-  // Go
+  // window.AKM — drive and observe runs from snippets, test harnesses and the extension popup
   // --------------------------------------------------------------------------
-  await main();
+  window.AKM = {
+    // Merge config into CONFIG and run; resolves with status() when the run ends.
+    // Settings with problems are rejected before anything in CONFIG changes.
+    start(config = {}) {
+      if (activeRun) return Promise.reject(new Error('A run is already in progress'));
+      let values;
+      let errors;
+      try {
+        values = Config._parse(config, 'AKM.start() settings');
+        errors = Config.errors(values);
+      } catch (e) {
+        errors = [e.message];
+      }
+      if (errors.length > 0) {
+        for (const err of errors) Logger.info(`ERROR: start: ${err}`);
+        return Promise.reject(new Error(`Invalid settings — ${errors.join('; ')}`));
+      }
+      Object.assign(CONFIG, values);
+      ControlPanel.refresh();
+      return startRun();
+    },
+    pause() {
+      State.pause();
+      ControlPanel.sync();
+    },
+    resume() {
+      State.resume();
+      ControlPanel.sync();
+    },
+    stop() { stopRun(); },
+    status() { return runStatus(); },
+
+    // Make the changes in the plan shown by confirmPlan: 'go'
+    go() {
+      if (!Plan.answer(true)) Logger.info('No plan is waiting for confirmation');
+    },
+
+    // Events: 'pageLoaded', 'planReady', 'itemToggled', 'itemFailed', 'watchStarted', 'runComplete'
+    on(name, fn) { Events.on(name, fn); },
+    off(name, fn) { Events.off(name, fn); },
+
+    showPanel() { ControlPanel.mount(); },
+
+    // Layer settings (JSON text or an object) over CONFIG; false if they were rejected
+    importConfig(source) {
+      if (ControlPanel._root) ControlPanel._read();  // keep unsaved panel changes
+      const ok = Config.import(source);
+      ControlPanel.refresh();
+      return ok;
+    },
+
+    // Download the last run's report again: 'html' or 'csv'
+    downloadReport(format = CONFIG.runReport || 'html') {
+      if (!RunReport.available()) {
+        Logger.info('No run to report on yet');
+        return;
+      }
+      RunReport.finish(format);
+    },
+
+    // Saved policy profiles; children by name or directedId
+    profiles: {
+      list() { return Profiles.all(); },
+      save(name, values) { Profiles.save(name, values); ControlPanel.refresh(); },
+      remove(name) { Profiles.remove(name); ControlPanel.refresh(); },
+      setDefault(child, name) {
+        Profiles.setDefault(ItemSource.findChild(child)?.directedId ?? child, name);
+        ControlPanel.refresh();
+      },
+    },
+  };
+
+  Config.load();
+
+  if (CONFIG.ui) {
+    ControlPanel.mount();
+    Config.announce();
+  } else {
+    Config.announce();
+    if (Config.mayAutoStart()) await startRun();
+  }
 })();
@@ -0,0 +1,32 @@
+// Popup — shows the in-page control panel on the Parent Dashboard tab.
+// The script is injected on /explore pages by the manifest; if the tab got
+// there without a page load (or the panel was closed), inject it or re-show it.
+
+const status = document.getElementById('status');
+
+document.getElementById('show').addEventListener('click', async () => {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!tab?.url || !/^https:\/\/parents\.amazon\.[a-z.]+\//.test(tab.url)) {
+    status.textContent = 'Open the Parent Dashboard (parents.amazon.com/explore) first.';
+    return;
+  }
+
+  const [{ result: loaded }] = await chrome.scripting.executeScript({
+    target: { tabId: tab.id },
+    world: 'MAIN',
+    func: () => {
+      if (!window.AKM) return false;
+      window.AKM.showPanel();
+      return true;
+    },
+  });
+
+  if (!loaded) {
+    await chrome.scripting.executeScript({
+      target: { tabId: tab.id },
+      world: 'MAIN',
+      files: ['amazon_kids_content_disabler.js'],
+    });
+  }
+  window.close();
+});
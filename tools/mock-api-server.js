@@ -0,0 +1,120 @@
+// Mock access API for testing engine: 'api' without touching a real account.
+//
+// Usage:
+//   node tools/mock-api-server.js [--port 8080] [--fail-rate 0.1] [--rate-limit 20] [--error-body]
+//
+// Then run the script on the dashboard with:
+//   engine: 'api',
+//   apiTemplate: {
+//     method: 'POST',
+//     url: 'http://localhost:8080/access',
+//     headers: { 'content-type': 'application/json' },
+//     body: '{"itemId":"{{itemId}}","childId":"{{childId}}","state":"{{state}}"}',
+//   },
+//
+//   POST /access   { itemId, childId, state: 'AVAILABLE' | 'UNAVAILABLE' } → { success: true }
+//   GET  /access   every state set so far, keyed by childId then itemId
+//   DELETE /access forget everything
+//
+// --fail-rate    fraction of writes answered with HTTP 500
+// --rate-limit   writes allowed per second before answering HTTP 429
+// --error-body   answer some writes with HTTP 200 and { success: false } (same fraction as --fail-rate)
+'use strict';
+
+const http = require('http');
+
+function option(name, fallback) {
+  const i = process.argv.indexOf(`--${name}`);
+  if (i < 0) return fallback;
+  const value = process.argv[i + 1];
+  return value === undefined || value.startsWith('--') ? true : value;
+}
+
+const port = Number(option('port', process.env.PORT || 8080));
+const failRate = Number(option('fail-rate', 0));
+const rateLimit = Number(option('rate-limit', 0));
+const errorBody = option('error-body', false) === true;
+
+const access = {};   // childId → { itemId → state }
+let windowStart = Date.now();
+let windowCount = 0;
+
+function send(req, res, status, data) {
+  // The dashboard script sends credentials, so CORS must name the origin
+  res.writeHead(status, {
+    'content-type': 'application/json',
+    'access-control-allow-origin': req.headers.origin || '*',
+    'access-control-allow-credentials': 'true',
+    'access-control-allow-methods': 'GET, POST, PUT, DELETE, OPTIONS',
+    'access-control-allow-headers': req.headers['access-control-request-headers'] || 'content-type',
+  });
+  res.end(data === undefined ? '' : JSON.stringify(data));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let text = '';
+    req.on('data', (chunk) => { text += chunk; });
+    req.on('end', () => resolve(text));
+    req.on('error', reject);
+  });
+}
+
+function rateLimited() {
+  if (!rateLimit) return false;
+  if (Date.now() - windowStart >= 1000) {
+    windowStart = Date.now();
+    windowCount = 0;
+  }
+  windowCount++;
+  return windowCount > rateLimit;
+}
+
+async function handleWrite(req, res) {
+  if (rateLimited()) return send(req, res, 429, { success: false, error: 'Too many requests' });
+
+  let data;
+  try {
+    data = JSON.parse(await readBody(req));
+  } catch (e) {
+    return send(req, res, 400, { success: false, error: `Body is not JSON — ${e.message}` });
+  }
+  const { itemId, childId, state } = data ?? {};
+  if (!itemId || !childId || !['AVAILABLE', 'UNAVAILABLE'].includes(state)) {
+    return send(req, res, 400, { success: false, error: 'Expected { itemId, childId, state: AVAILABLE | UNAVAILABLE }' });
+  }
+
+  if (Math.random() < failRate) {
+    console.log(`${state.padEnd(11)} ${childId} ${itemId} → simulated failure`);
+    return errorBody
+      ? send(req, res, 200, { success: false, error: 'Simulated failure' })
+      : send(req, res, 500, { success: false, error: 'Simulated failure' });
+  }
+
+  access[childId] = access[childId] ?? {};
+  access[childId][itemId] = state;
+  console.log(`${state.padEnd(11)} ${childId} ${itemId}`);
+  return send(req, res, 200, { success: true });
+}
+
+const server = http.createServer((req, res) => {
+  const path = new URL(req.url, 'http://localhost').pathname;
+  if (req.method === 'OPTIONS') return send(req, res, 204);
+  if (path !== '/access') return send(req, res, 404, { success: false, error: 'Not found' });
+  if (req.method === 'GET') return send(req, res, 200, access);
+  if (req.method === 'DELETE') {
+    for (const id of Object.keys(access)) delete access[id];
+    return send(req, res, 200, { success: true });
+  }
+  if (req.method === 'POST' || req.method === 'PUT') {
+    handleWrite(req, res).catch((e) => send(req, res, 500, { success: false, error: e.message }));
+    return undefined;
+  }
+  return send(req, res, 405, { success: false, error: 'Method not allowed' });
+});
+
+server.listen(port, () => {
+  console.log(`Mock access API on http://localhost:${port}/access` +
+    (failRate ? ` (failing ${Math.round(failRate * 100)}%${errorBody ? ' with error bodies' : ''})` : '') +
+    (rateLimit ? ` (limit ${rateLimit}/s)` : ''));
+});
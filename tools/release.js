@@ -0,0 +1,54 @@
+// Prepare a release: pin the userscript to a tag and bump the version everywhere.
+//
+// Usage:
+//   node tools/release.js 3.1.0
+//
+// Then commit, tag the commit v3.1.0 and push the tag:
+//   git commit -am "Release 3.1.0" && git tag v3.1.0 && git push origin main v3.1.0
+//
+// The userscript's @require points at amazon_kids_content_disabler.js under
+// that tag, with a sha256 hash of the file, so userscript managers refuse a
+// copy that doesn't match. Managers only fetch @require again when @version
+// changes, which is why each release bumps it.
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const root = path.join(__dirname, '..');
+const repo = 'bryanroscoe/amazon-kids-content-manager';
+const scriptFile = 'amazon_kids_content_disabler.js';
+const userscriptFile = 'amazon-kids-content-manager.user.js';
+
+const version = process.argv[2];
+if (!/^\d+\.\d+\.\d+$/.test(version || '')) {
+  console.error('Usage: node tools/release.js <version>   e.g. 3.1.0');
+  process.exit(1);
+}
+
+function rewrite(file, edits) {
+  const full = path.join(root, file);
+  let text = fs.readFileSync(full, 'utf8');
+  for (const [pattern, replacement] of edits) {
+    if (!pattern.test(text)) {
+      console.error(`${file}: nothing matches ${pattern}`);
+      process.exit(1);
+    }
+    text = text.replace(pattern, replacement);
+  }
+  fs.writeFileSync(full, text);
+  console.log(`Updated ${file}`);
+}
+
+const hash = crypto.createHash('sha256').update(fs.readFileSync(path.join(root, scriptFile))).digest('base64');
+const requireUrl = `https://raw.githubusercontent.com/${repo}/v${version}/${scriptFile}#sha256=${hash}`;
+
+rewrite(userscriptFile, [
+  [/(\/\/ @version\s+)\S+/, `$1${version}`],
+  [/(\/\/ @require\s+)\S+/, `$1${requireUrl}`],
+]);
+rewrite('manifest.json', [
+  [/("version":\s*")[^"]+/, `$1${version}`],
+]);
+console.log(`Pinned ${scriptFile} to v${version} (sha256 ${hash})`);